@@ -1,6 +1,4 @@
-import huluScope from "./HuluScope.js";
-import huluHookup from "./HuluHookup.js";
+// Custom fetch functions keyed by collection name, called with the mongoose Model as "this".
+// Only needed when a query cannot be described with dbQuery in the collection config.
 export default {
-    'hulu.scope': huluScope,
-    'hulu.hookup': huluHookup
-}
\ No newline at end of file
+}
@@ -2,9 +2,13 @@ import mongoose from 'mongoose';
 import logger from '../../utils/logger.js';
 import config from '../../config.js';
 import dBHelper from './dBHelper/index.js';
+import { runOperations, buildApplyResult } from '../applyHelper.js';
+import { describeOperation, buildRollbackOperations, buildScriptHeader } from '../scriptHelper.js';
+import { resolveQueryParams, parseConditions, getQueryFields, getJoinAlias } from '../queryHelper.js';
 
 class MongoDBAdapter {
-    constructor() {
+    constructor(dbConfig = config.dbConfig) {
+        this.dbConfig = dbConfig;
         this.connection = null;
     }
 
@@ -13,8 +17,8 @@ class MongoDBAdapter {
      */
     async init() {
         try {
-            logger.info(`Connecting to MongoDB: ${config.dbConfig.uri}`);
-            await mongoose.connect(config.dbConfig.uri, {
+            logger.info(`Connecting to MongoDB: ${this.dbConfig.uri}`);
+            await mongoose.connect(this.dbConfig.uri, {
                 useNewUrlParser: true,
                 useUnifiedTopology: true
             });
@@ -28,14 +32,23 @@ class MongoDBAdapter {
     }
 
     /**
-     * Fetch all records from a collection
+     * Fetch the records of a collection with its declarative query, a registered dBHelper function, or all documents
+     * @param {string} collectionName - Name of the collection
+     * @param {Object} dbQuery - Query definition from the collection config
+     * @param {Object} queryParams - Parameter values overriding dbQuery.params
      */
-    async fetchRecords(collectionName) {
+    async fetchRecords(collectionName, dbQuery, queryParams = {}) {
         try {
             const schema = new mongoose.Schema({}, { strict: false });
             const Model = mongoose.models[collectionName] || mongoose.model(collectionName, schema, collectionName);
-            const helperFunc = dBHelper[collectionName] || Model.find;
-            const documents = await helperFunc.call(Model);
+            let documents;
+            if (dbQuery) {
+                const pipeline = this.buildPipeline(dbQuery, resolveQueryParams(dbQuery, queryParams));
+                documents = await Model.aggregate(pipeline);
+            } else {
+                const helperFunc = dBHelper[collectionName] || Model.find;
+                documents = await helperFunc.call(Model);
+            }
             return { success: true, data: documents, count: documents.length };
         } catch (err) {
             logger.error({ err }, `Error fetching records from MongoDB collection ${collectionName}: ${err.message}`);
@@ -43,6 +56,199 @@ class MongoDBAdapter {
         }
     }
 
+    /**
+     * Compile a declarative query to an aggregation pipeline
+     * @param {Object} dbQuery - { filter, join: [{ from, localField, foreignField, as, required }], fields, includeId }
+     * @param {Object} params - Resolved parameter values
+     * @returns {Array} - Aggregation pipeline
+     */
+    buildPipeline(dbQuery, params = {}) {
+        const joins = dbQuery.join || [];
+        const conditions = parseConditions(dbQuery.filter, params);
+        const pipeline = [];
+
+        // Conditions on the collection itself run before the lookups so fewer documents are joined
+        const baseMatch = this.buildMatch(conditions.filter(condition => !getJoinAlias(condition.path, joins)));
+        if (baseMatch) pipeline.push({ $match: baseMatch });
+
+        for (const join of joins) {
+            pipeline.push({ $lookup: { from: join.from, localField: join.localField, foreignField: join.foreignField, as: join.as } });
+            // Keep the first matching document only, one record per document of the collection
+            pipeline.push({ $addFields: { [join.as]: { $arrayElemAt: [`$${join.as}`, 0] } } });
+            if (join.required !== false) {
+                pipeline.push({ $match: { [join.as]: { $exists: true } } });
+            }
+        }
+
+        const joinedMatch = this.buildMatch(conditions.filter(condition => getJoinAlias(condition.path, joins)));
+        if (joinedMatch) pipeline.push({ $match: joinedMatch });
+
+        const fields = getQueryFields(dbQuery);
+        if (fields.length) {
+            const projection = dbQuery.includeId === false ? { _id: 0 } : {};
+            fields.forEach(({ name, path }) => {
+                projection[name] = `$${path}`;
+            });
+            pipeline.push({ $project: projection });
+        }
+
+        return pipeline;
+    }
+
+    /**
+     * Convert query conditions to a $match filter, null when there are none
+     */
+    buildMatch(conditions) {
+        if (!conditions.length) return null;
+
+        const toRegexList = value => [].concat(value).map(text => new RegExp(String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i'));
+        const filters = conditions.map(({ path, op, value }) => {
+            switch (op) {
+                case 'eq': return { [path]: value };
+                case 'contains': return { [path]: { $in: toRegexList(value) } };
+                case 'notContains': return { [path]: { $not: { $in: toRegexList(value) } } };
+                default: return { [path]: { [`$${op}`]: value } };
+            }
+        });
+        return filters.length === 1 ? filters[0] : { $and: filters };
+    }
+
+    /**
+     * Apply insert, update and delete operations to a collection, inside a transaction when the server supports it
+     * @param {string} collectionName - Name of the collection
+     * @param {Array} operations - Operations built by DataComparer.buildSyncOperations
+     * @returns {Promise<Object>} - { success, transaction, insertedCount, updatedCount, deletedCount, operations, error }
+     */
+    async applyOperations(collectionName, operations) {
+        const collection = this.connection.db.collection(collectionName);
+        let transaction = false;
+        let results = [];
+
+        try {
+            transaction = await this.supportsTransactions();
+            if (!transaction) {
+                logger.info('MongoDB server does not support transactions, applying operations without one');
+                results = await runOperations(operations, operation => this.applyOperation(collection, operation));
+            } else {
+                const session = await mongoose.startSession();
+                try {
+                    // withTransaction retries the callback on transient errors, so results are rebuilt on every attempt
+                    await session.withTransaction(async () => {
+                        results = await runOperations(operations, operation => this.applyOperation(collection, operation, session));
+                    });
+                } finally {
+                    await session.endSession();
+                }
+            }
+
+            return buildApplyResult(operations, results, { transaction });
+        } catch (err) {
+            logger.error({ err }, `Error applying operations to MongoDB collection ${collectionName}: ${err.message}`);
+            return buildApplyResult(operations, err.results || results, { transaction, error: err });
+        }
+    }
+
+    /**
+     * Fetch the whole document matching an operation filter, the one a DELETE with that filter removes
+     * @param {string} collectionName - Name of the collection
+     * @param {Object} filter - Operation filter
+     * @returns {Promise<Object>} - { success, data, error }
+     */
+    async fetchMatching(collectionName, filter) {
+        try {
+            const documents = await this.connection.db.collection(collectionName).find(filter).limit(1).toArray();
+            return { success: true, data: documents };
+        } catch (err) {
+            logger.error({ err }, `Error fetching documents from MongoDB collection ${collectionName}: ${err.message}`);
+            return { success: false, error: err.message, data: [] };
+        }
+    }
+
+    /**
+     * Apply a single operation, resolving to the number of documents written
+     */
+    async applyOperation(collection, operation, session) {
+        switch (operation.action) {
+            case 'ADD':
+                await collection.insertOne({ ...operation.document }, { session });
+                return 1;
+            case 'UPDATE': {
+                const result = await collection.updateOne(operation.filter, { $set: operation.changes }, { session });
+                return result.matchedCount;
+            }
+            case 'DELETE': {
+                const result = await collection.deleteOne(operation.filter, { session });
+                return result.deletedCount;
+            }
+            default:
+                throw new Error(`Unknown operation: ${operation.action}`);
+        }
+    }
+
+    /**
+     * Write the operations as mongosh scripts for review instead of applying them
+     * @param {string} collectionName - Name of the collection
+     * @param {Array} operations - Operations built by DataComparer.buildSyncOperations
+     * @param {Array} skipped - Possible matches left out of the operations, listed in the migration header
+     * @returns {Object} - { extension, migration, rollback }, rollback restores updated values and whole deleted records
+     */
+    buildScripts(collectionName, operations, skipped = []) {
+        const render = (title, scriptOperations, scriptSkipped = []) => [
+            ...buildScriptHeader(title, scriptOperations, scriptSkipped).map(line => `// ${line}`),
+            `const collection = db.getCollection(${JSON.stringify(collectionName)});`,
+            '',
+            ...scriptOperations.flatMap(operation => [`// ${describeOperation(operation)}`, this.toShellStatement(operation), ''])
+        ].join('\n');
+
+        return {
+            extension: 'js',
+            migration: render(`Migration of ${collectionName}`, operations, skipped),
+            rollback: render(`Rollback of the migration of ${collectionName}`, buildRollbackOperations(operations))
+        };
+    }
+
+    toShellStatement(operation) {
+        switch (operation.action) {
+            case 'ADD':
+                return `collection.insertOne(${this.toShellValue(operation.document)});`;
+            case 'UPDATE': {
+                const update = { $set: operation.changes };
+                if (operation.unset && operation.unset.length) {
+                    update.$unset = Object.fromEntries(operation.unset.map(field => [field, '']));
+                }
+                if (!Object.keys(update.$set).length) delete update.$set;
+                return `collection.updateOne(${this.toShellValue(operation.filter)}, ${this.toShellValue(update)});`;
+            }
+            case 'DELETE':
+                return `collection.deleteOne(${this.toShellValue(operation.filter)});`;
+            default:
+                throw new Error(`Unknown operation: ${operation.action}`);
+        }
+    }
+
+    /**
+     * Write a value as mongosh source, keeping ObjectIds and dates typed
+     */
+    toShellValue(value) {
+        if (value === undefined || value === null) return 'null';
+        if (value instanceof Date) return `ISODate(${JSON.stringify(value.toISOString())})`;
+        if (value._bsontype === 'ObjectId' || value._bsontype === 'ObjectID') return `ObjectId(${JSON.stringify(value.toHexString())})`;
+        if (Array.isArray(value)) return `[${value.map(item => this.toShellValue(item)).join(', ')}]`;
+        if (typeof value === 'object') {
+            return `{ ${Object.entries(value).map(([key, item]) => `${JSON.stringify(key)}: ${this.toShellValue(item)}`).join(', ')} }`;
+        }
+        if (typeof value === 'number' && !Number.isFinite(value)) return 'null';
+        return JSON.stringify(value);
+    }
+
+    /**
+     * Transactions are only available on replica set members and mongos
+     */
+    async supportsTransactions() {
+        const hello = await this.connection.db.admin().command({ hello: 1 });
+        return Boolean(hello.setName || hello.msg === 'isdbgrid');
+    }
+
     /**
      * Close MongoDB database connection
      */
@@ -0,0 +1,4 @@
+// Custom fetch functions keyed by table name, called with the SQLAdapter as "this".
+// Only needed when a query cannot be described with dbQuery in the collection config.
+export default {
+}
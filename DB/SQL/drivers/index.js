@@ -0,0 +1,6 @@
+import SQLiteDriver from "./sqlite.js";
+import PostgresDriver from "./postgres.js";
+export default {
+    'sqlite': SQLiteDriver,
+    'postgres': PostgresDriver
+}
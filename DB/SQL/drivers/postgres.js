@@ -0,0 +1,68 @@
+// DB/SQL/drivers/postgres.js - PostgreSQL driver (uses pg)
+class PostgresDriver {
+  constructor(dbConfig) {
+    this.dbConfig = dbConfig;
+    this.client = null;
+  }
+
+  /**
+   * Connect to the PostgreSQL server configured in dbConfig.uri
+   */
+  async connect() {
+    const { default: pg } = await import('pg');
+    const { uri, username, password } = this.dbConfig;
+
+    this.client = new pg.Client({
+      connectionString: uri,
+      user: username,
+      password: password
+    });
+    await this.client.connect();
+    return uri;
+  }
+
+  /**
+   * Execute a statement with "?" placeholders
+   * @param {string} sql - SQL statement
+   * @param {Array} params - Positional parameters
+   * @returns {Promise<Object>} - { rows, rowCount }
+   */
+  async query(sql, params = []) {
+    const result = await this.client.query(this.toPositionalParams(sql), params.map(value => value === undefined ? null : value));
+    return { rows: result.rows || [], rowCount: result.rowCount || 0 };
+  }
+
+  /**
+   * Convert "?" placeholders to PostgreSQL's $1, $2... outside of quoted strings and identifiers
+   * @param {string} sql - SQL statement with "?" placeholders
+   * @returns {string} - SQL statement with numbered placeholders
+   */
+  toPositionalParams(sql) {
+    let index = 0;
+    let quote = null;
+    let converted = '';
+
+    for (const char of sql) {
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === '\'' || char === '"') {
+        quote = char;
+      } else if (char === '?') {
+        converted += `$${++index}`;
+        continue;
+      }
+      converted += char;
+    }
+
+    return converted;
+  }
+
+  async close() {
+    if (this.client) {
+      await this.client.end();
+      this.client = null;
+    }
+  }
+}
+
+export default PostgresDriver;
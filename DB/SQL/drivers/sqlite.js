@@ -0,0 +1,63 @@
+// DB/SQL/drivers/sqlite.js - SQLite driver (file based, uses better-sqlite3)
+import path from 'path';
+import fse from 'fs-extra';
+
+class SQLiteDriver {
+  constructor(dbConfig) {
+    this.dbConfig = dbConfig;
+    this.db = null;
+  }
+
+  /**
+   * Open the SQLite database file configured in dbConfig.filename
+   */
+  async connect() {
+    const { default: Database } = await import('better-sqlite3');
+    const filename = this.dbConfig.filename === ':memory:' ? ':memory:' : path.resolve(this.dbConfig.filename || 'database.sqlite');
+
+    if (filename !== ':memory:') {
+      await fse.ensureDir(path.dirname(filename));
+    }
+
+    this.db = new Database(filename);
+    return filename;
+  }
+
+  /**
+   * Execute a statement with "?" placeholders
+   * @param {string} sql - SQL statement
+   * @param {Array} params - Positional parameters
+   * @returns {Promise<Object>} - { rows, rowCount }
+   */
+  async query(sql, params = []) {
+    const statement = this.db.prepare(sql);
+    const values = params.map(value => this.toSQLiteValue(value));
+
+    if (statement.reader) {
+      const rows = statement.all(values);
+      return { rows, rowCount: rows.length };
+    }
+
+    const info = statement.run(values);
+    return { rows: [], rowCount: info.changes };
+  }
+
+  /**
+   * SQLite can only bind numbers, strings, bigints, buffers and null
+   */
+  toSQLiteValue(value) {
+    if (value === undefined) return null;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (value instanceof Date) return value.toISOString();
+    return value;
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+export default SQLiteDriver;
@@ -1,25 +1,48 @@
 // DB/SQL/index.js - SQL Database Adapter
+import { AsyncLocalStorage } from 'async_hooks';
 import logger from '../../utils/logger.js';
 import config from '../../config.js';
+import drivers from './drivers/index.js';
+import dBHelper from './dBHelper/index.js';
+import { runOperations, buildApplyResult } from '../applyHelper.js';
+import { describeOperation, buildRollbackOperations, buildScriptHeader } from '../scriptHelper.js';
+import { resolveQueryParams, parseConditions, getQueryFields, getJoinAlias } from '../queryHelper.js';
+
+const INSERT_BATCH_SIZE = 500;
+// Default row id column, returned as _id like the MongoDB _id; dbQuery.rowId and join.rowId name another one.
+// Joins keep the matching row with the lowest id, like the first document of a MongoDB $lookup
+const ROW_ID_COLUMN = 'id';
+// Adapter whose transaction issued the running code, its queries belong to the open transaction
+const transactionScope = new AsyncLocalStorage();
 
 class SQLAdapter {
-  constructor() {
+  constructor(dbConfig = config.dbConfig) {
+    this.dbConfig = dbConfig;
     this.connection = null;
+    // tableName -> row id column of the fetched records, write filters on _id target that column
+    this.rowIdColumns = new Map();
+    // Collections processed concurrently share the connection: their transactions run one after another and
+    // queries issued outside the open transaction wait for it, they would otherwise run inside it
+    this.pendingTransaction = Promise.resolve();
   }
 
   /**
-   * Initialize SQL database connection
+   * Initialize SQL database connection using the driver named in dbConfig.sqlClient
    */
   async init() {
     try {
-      // TODO: Implement SQL connection logic based on your SQL database type
-      // Example: PostgreSQL, MySQL, SQL Server, etc.
-      logger.info(`Connecting to SQL database: ${config.dbConfig.uri}`);
-      
-      // Placeholder for actual SQL connection
-      this.connection = null; // Replace with actual connection
-      
-      logger.info('SQL database connected successfully');
+      const client = this.dbConfig.sqlClient || 'sqlite';
+      const Driver = drivers[client];
+      if (!Driver) {
+        throw new Error(`Unsupported SQL client "${client}". Supported clients: ${Object.keys(drivers).join(', ')}`);
+      }
+
+      logger.info(`Connecting to ${client} database`);
+      const connection = new Driver(this.dbConfig);
+      const target = await connection.connect();
+      this.connection = connection;
+
+      logger.info(`SQL database connected successfully: ${target}`);
       return { success: true };
     } catch (err) {
       logger.error({ err }, `Error connecting to SQL database: ${err.message}`);
@@ -29,14 +52,21 @@ class SQLAdapter {
 
   /**
    * Execute SQL query
+   * @param {string} sql - SQL statement using "?" placeholders
+   * @param {Array} params - Positional parameters
+   * @returns {Promise<Object>} - { success, data, rowCount }
    */
   async query(sql, params = []) {
     try {
-      // TODO: Implement SQL query execution
-      logger.info(`Executing SQL query: ${sql}`);
-      
-      // Placeholder for actual query execution
-      return { success: true, data: [] };
+      if (!this.connection) {
+        throw new Error('SQL adapter is not initialized');
+      }
+      if (transactionScope.getStore() !== this) {
+        await this.pendingTransaction;
+      }
+
+      const result = await this.connection.query(sql, params);
+      return { success: true, data: result.rows, rowCount: result.rowCount };
     } catch (err) {
       logger.error({ err }, `Error executing SQL query: ${err.message}`);
       throw err;
@@ -45,13 +75,33 @@ class SQLAdapter {
 
   /**
    * Insert data into SQL table
+   * @param {string} tableName - Table name
+   * @param {Array} data - Array of records, columns are the union of all record keys
+   * @returns {Promise<Object>} - { success, insertedCount }
    */
   async insert(tableName, data) {
     try {
-      // TODO: Implement SQL insert logic
-      logger.info(`Inserting data into table: ${tableName}`);
-      
-      return { success: true, insertedCount: data.length };
+      if (!data.length) {
+        return { success: true, insertedCount: 0 };
+      }
+
+      logger.info(`Inserting ${data.length} records into table: ${tableName}`);
+      const columns = [...new Set(data.flatMap(record => Object.keys(record)))];
+      const columnList = columns.map(column => this.quoteIdentifier(column)).join(', ');
+      const rowPlaceholder = `(${columns.map(() => '?').join(', ')})`;
+      let insertedCount = 0;
+
+      await this.transaction(async () => {
+        for (let start = 0; start < data.length; start += INSERT_BATCH_SIZE) {
+          const batch = data.slice(start, start + INSERT_BATCH_SIZE);
+          const params = batch.flatMap(record => columns.map(column => record[column]));
+          const sql = `INSERT INTO ${this.quoteIdentifier(tableName)} (${columnList}) VALUES ${batch.map(() => rowPlaceholder).join(', ')}`;
+          const result = await this.query(sql, params);
+          insertedCount += result.rowCount;
+        }
+      });
+
+      return { success: true, insertedCount };
     } catch (err) {
       logger.error({ err }, `Error inserting data into SQL table: ${err.message}`);
       throw err;
@@ -59,30 +109,327 @@ class SQLAdapter {
   }
 
   /**
-   * Fetch all records from a table
+   * Run the callback inside a transaction, rolling back when it throws.
+   * A transaction started while another one is open waits for it to finish, like the queries of other callers.
+   * One started by the callback of the open transaction runs inside it, a failure rolls back the whole transaction.
+   * @param {Function} callback - Async function issuing the queries
+   * @returns {Promise<*>} - Callback result
    */
-  async fetchRecords(tableName) {
+  transaction(callback) {
+    if (transactionScope.getStore() === this) {
+      return callback();
+    }
+    const run = async () => {
+      await this.query('BEGIN');
+      try {
+        const result = await callback();
+        await this.query('COMMIT');
+        return result;
+      } catch (err) {
+        await this.query('ROLLBACK');
+        throw err;
+      }
+    };
+    const result = this.pendingTransaction.then(() => transactionScope.run(this, run));
+    this.pendingTransaction = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Fetch the records of a table with its declarative query, a registered dBHelper function, or all rows
+   * @param {string} tableName - Table name
+   * @param {Object} dbQuery - Query definition from the collection config
+   * @param {Object} queryParams - Parameter values overriding dbQuery.params
+   */
+  async fetchRecords(tableName, dbQuery, queryParams = {}) {
     try {
-      // TODO: Implement SQL SELECT query for fetching all records
-      const sql = `SELECT * FROM ${tableName}`;
-      const result = await this.query(sql);
-      
-      logger.info(`Fetched ${result.data.length} records from table "${tableName}"`);
-      return { success: true, data: result.data, count: result.data.length };
+      const helperFunc = dBHelper[tableName];
+      const rowId = (dbQuery && dbQuery.rowId) || ROW_ID_COLUMN;
+      this.rowIdColumns.set(tableName, rowId);
+      let records;
+      if (dbQuery) {
+        const select = this.buildSelect(tableName, dbQuery, resolveQueryParams(dbQuery, queryParams));
+        const result = await this.query(select.sql, select.params);
+        // Listed fields select the row id themselves, see buildSelect
+        records = getQueryFields(dbQuery).length || dbQuery.includeId === false ? result.data : this.withRowIds(result.data, rowId);
+      } else if (helperFunc) {
+        records = await helperFunc.call(this);
+      } else {
+        const result = await this.query(`SELECT * FROM ${this.quoteIdentifier(tableName)}`);
+        records = this.withRowIds(result.data, rowId);
+      }
+
+      logger.info(`Fetched ${records.length} records from table "${tableName}"`);
+      return { success: true, data: records, count: records.length };
     } catch (err) {
       logger.error({ err }, `Error fetching records from SQL table ${tableName}: ${err.message}`);
       return { success: false, error: err.message, data: [] };
     }
   }
 
+  /**
+   * Copy the row id of whole rows to _id, rows of tables without that column are kept as they are
+   */
+  withRowIds(rows, rowId) {
+    return rows.map(row => rowId in row ? { _id: row[rowId], ...row } : row);
+  }
+
+  /**
+   * Fetch the whole rows matching an operation filter, every row a DELETE with that filter removes
+   * @param {string} tableName - Table name
+   * @param {Object} filter - Operation filter, see buildWhere
+   * @returns {Promise<Object>} - { success, data, error }
+   */
+  async fetchMatching(tableName, filter) {
+    try {
+      const where = this.buildWhere(filter, tableName);
+      const result = await this.query(`SELECT * FROM ${this.quoteIdentifier(tableName)} WHERE ${where.clause}`, where.params);
+      return { success: true, data: result.data };
+    } catch (err) {
+      logger.error({ err }, `Error fetching rows from SQL table ${tableName}: ${err.message}`);
+      return { success: false, error: err.message, data: [] };
+    }
+  }
+
+  /**
+   * Apply insert, update and delete operations to a table inside a transaction
+   * @param {string} tableName - Table name
+   * @param {Array} operations - Operations built by DataComparer.buildSyncOperations
+   * @returns {Promise<Object>} - { success, transaction, insertedCount, updatedCount, deletedCount, operations, error }
+   */
+  async applyOperations(tableName, operations) {
+    let results = [];
+    try {
+      await this.transaction(async () => {
+        results = await runOperations(operations, operation => this.applyOperation(tableName, operation));
+      });
+      return buildApplyResult(operations, results, { transaction: true });
+    } catch (err) {
+      logger.error({ err }, `Error applying operations to SQL table ${tableName}: ${err.message}`);
+      return buildApplyResult(operations, err.results || results, { transaction: true, error: err });
+    }
+  }
+
+  /**
+   * Apply a single operation, resolving to the number of rows written
+   */
+  async applyOperation(tableName, operation) {
+    const table = this.quoteIdentifier(tableName);
+    let result;
+
+    switch (operation.action) {
+      case 'ADD': {
+        const columns = Object.keys(operation.document);
+        const sql = `INSERT INTO ${table} (${columns.map(column => this.quoteIdentifier(column)).join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`;
+        result = await this.query(sql, columns.map(column => operation.document[column]));
+        break;
+      }
+      case 'UPDATE': {
+        const columns = Object.keys(operation.changes);
+        const where = this.buildWhere(operation.filter, tableName);
+        const sql = `UPDATE ${table} SET ${columns.map(column => `${this.quoteIdentifier(column)} = ?`).join(', ')} WHERE ${where.clause}`;
+        result = await this.query(sql, columns.map(column => operation.changes[column]).concat(where.params));
+        break;
+      }
+      case 'DELETE': {
+        const where = this.buildWhere(operation.filter, tableName);
+        result = await this.query(`DELETE FROM ${table} WHERE ${where.clause}`, where.params);
+        break;
+      }
+      default:
+        throw new Error(`Unknown operation: ${operation.action}`);
+    }
+
+    return result.rowCount;
+  }
+
+  /**
+   * Write the operations as SQL scripts for review instead of applying them, each runs in one transaction
+   * @param {string} tableName - Table name
+   * @param {Array} operations - Operations built by DataComparer.buildSyncOperations
+   * @param {Array} skipped - Possible matches left out of the operations, listed in the migration header
+   * @returns {Object} - { extension, migration, rollback }, rollback restores updated values and whole deleted records
+   */
+  buildScripts(tableName, operations, skipped = []) {
+    const render = (title, scriptOperations, scriptSkipped = []) => [
+      ...buildScriptHeader(title, scriptOperations, scriptSkipped).map(line => `-- ${line}`),
+      'BEGIN;',
+      '',
+      ...scriptOperations.flatMap(operation => [`-- ${describeOperation(operation)}`, this.toSqlStatement(tableName, operation), '']),
+      'COMMIT;',
+      ''
+    ].join('\n');
+
+    return {
+      extension: 'sql',
+      migration: render(`Migration of ${tableName}`, operations, skipped),
+      rollback: render(`Rollback of the migration of ${tableName}`, buildRollbackOperations(operations))
+    };
+  }
+
+  toSqlStatement(tableName, operation) {
+    const table = this.quoteIdentifier(tableName);
+    // Same statements as applyOperation, with the values inlined
+    const inline = ({ clause, params }) => {
+      let index = 0;
+      return clause.replace(/\?/g, () => this.toSqlLiteral(params[index++]));
+    };
+
+    switch (operation.action) {
+      case 'ADD': {
+        const columns = Object.keys(operation.document);
+        return `INSERT INTO ${table} (${columns.map(column => this.quoteIdentifier(column)).join(', ')}) VALUES (${columns.map(column => this.toSqlLiteral(operation.document[column])).join(', ')});`;
+      }
+      case 'UPDATE': {
+        const assignments = Object.entries(operation.changes).map(([column, value]) => `${this.quoteIdentifier(column)} = ${this.toSqlLiteral(value)}`)
+          .concat((operation.unset || []).map(column => `${this.quoteIdentifier(column)} = NULL`));
+        return `UPDATE ${table} SET ${assignments.join(', ')} WHERE ${inline(this.buildWhere(operation.filter, tableName))};`;
+      }
+      case 'DELETE':
+        return `DELETE FROM ${table} WHERE ${inline(this.buildWhere(operation.filter, tableName))};`;
+      default:
+        throw new Error(`Unknown operation: ${operation.action}`);
+    }
+  }
+
+  /**
+   * Write a value as a SQL literal, dates as ISO text like the drivers bind them
+   */
+  toSqlLiteral(value) {
+    if (value === undefined || value === null) return 'NULL';
+    if (typeof value === 'number') return Number.isFinite(value) ? String(value) : 'NULL';
+    if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+    const text = value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return `'${text.replace(/'/g, "''")}'`;
+  }
+
+  /**
+   * Compile a declarative query to a SELECT statement. Listed fields are returned with the row id as _id
+   * unless includeId is false.
+   * @param {string} tableName - Table name
+   * @param {Object} dbQuery - { filter, join: [{ from, localField, foreignField, as, required, rowId }], fields, includeId, rowId }
+   * @param {Object} params - Resolved parameter values
+   * @returns {Object} - { sql, params }
+   */
+  buildSelect(tableName, dbQuery, params = {}) {
+    const joins = dbQuery.join || [];
+    const column = path => {
+      const alias = getJoinAlias(path, joins);
+      return alias
+        ? `j${joins.findIndex(join => join.as === alias)}.${this.quoteIdentifier(path.slice(alias.length + 1))}`
+        : `t.${this.quoteIdentifier(path)}`;
+    };
+
+    const fields = getQueryFields(dbQuery);
+    const selectFields = fields.length && dbQuery.includeId !== false
+      ? [{ name: '_id', path: dbQuery.rowId || ROW_ID_COLUMN }, ...fields]
+      : fields;
+    const selectList = selectFields.length
+      ? selectFields.map(({ name, path }) => `${column(path)} AS ${this.quoteIdentifier(name)}`).join(', ')
+      : 't.*';
+
+    const joinClauses = joins.map((join, index) => {
+      const joinTable = this.quoteIdentifier(join.from);
+      const rowId = this.quoteIdentifier(join.rowId || ROW_ID_COLUMN);
+      return `${join.required === false ? 'LEFT' : 'INNER'} JOIN ${joinTable} j${index} ON j${index}.${rowId} = (`
+        + `SELECT MIN(f.${rowId}) FROM ${joinTable} f WHERE f.${this.quoteIdentifier(join.foreignField)} = t.${this.quoteIdentifier(join.localField)})`;
+    });
+
+    const sqlParams = [];
+    const conditions = parseConditions(dbQuery.filter, params).map(condition => this.buildCondition(column(condition.path), condition, sqlParams));
+
+    const sql = [
+      `SELECT ${selectList} FROM ${this.quoteIdentifier(tableName)} t`,
+      ...joinClauses,
+      conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''
+    ].filter(Boolean).join(' ');
+    return { sql, params: sqlParams };
+  }
+
+  /**
+   * Convert a query condition to SQL, pushing its values to params.
+   * Negative conditions also match NULL, as they match missing fields in MongoDB.
+   */
+  buildCondition(column, { op, value }, params) {
+    const placeholders = values => values.map(item => {
+      params.push(item);
+      return '?';
+    }).join(', ');
+    const text = `UPPER(COALESCE(CAST(${column} AS TEXT), ''))`;
+
+    switch (op) {
+      case 'eq':
+        return value === null ? `${column} IS NULL` : `${column} = ${placeholders([value])}`;
+      case 'ne':
+        return value === null ? `${column} IS NOT NULL` : `(${column} <> ${placeholders([value])} OR ${column} IS NULL)`;
+      case 'in':
+        return value.length ? `${column} IN (${placeholders(value)})` : '1 = 0';
+      case 'nin':
+        return value.length ? `(${column} NOT IN (${placeholders(value)}) OR ${column} IS NULL)` : '1 = 1';
+      case 'gt':
+        return `${column} > ${placeholders([value])}`;
+      case 'gte':
+        return `${column} >= ${placeholders([value])}`;
+      case 'lt':
+        return `${column} < ${placeholders([value])}`;
+      case 'lte':
+        return `${column} <= ${placeholders([value])}`;
+      case 'contains': {
+        const patterns = [].concat(value).map(item => `${text} LIKE ${placeholders([`%${String(item).toUpperCase()}%`])}`);
+        return patterns.length ? `(${patterns.join(' OR ')})` : '1 = 0';
+      }
+      case 'notContains': {
+        const patterns = [].concat(value).map(item => `${text} NOT LIKE ${placeholders([`%${String(item).toUpperCase()}%`])}`);
+        return patterns.length ? patterns.join(' AND ') : '1 = 1';
+      }
+      case 'exists':
+        return `${column} IS ${value ? 'NOT ' : ''}NULL`;
+      default:
+        throw new Error(`Unknown query operator "${op}"`);
+    }
+  }
+
+  /**
+   * Build a parameterised WHERE clause matching every field of the filter
+   * @param {Object} filter - Field/value pairs, null values are matched with IS NULL
+   * @param {string} tableName - Table filtered, _id matches its row id column
+   * @returns {Object} - { clause, params }
+   */
+  buildWhere(filter, tableName) {
+    const fields = Object.keys(filter);
+    if (!fields.length) {
+      throw new Error('Refusing to write without a filter');
+    }
+
+    const params = [];
+    const conditions = fields.map(field => {
+      const column = this.quoteIdentifier(field === '_id' ? this.rowIdColumns.get(tableName) || ROW_ID_COLUMN : field);
+      if (filter[field] === null || filter[field] === undefined) {
+        return `${column} IS NULL`;
+      }
+      params.push(filter[field]);
+      return `${column} = ?`;
+    });
+
+    return { clause: conditions.join(' AND '), params };
+  }
+
+  /**
+   * Quote a table or column name. Names such as "hulu.scope" are kept as a single identifier.
+   * @param {string} name - Table or column name
+   * @returns {string} - Quoted identifier
+   */
+  quoteIdentifier(name) {
+    return `"${String(name).replace(/"/g, '""')}"`;
+  }
+
   /**
    * Close SQL database connection
    */
   async close() {
     try {
       if (this.connection) {
-        // TODO: Implement connection closing logic
-        // await this.connection.close();
+        await this.connection.close();
         this.connection = null;
       }
       logger.info('SQL database connection closed');
@@ -0,0 +1,62 @@
+// DB/applyHelper.js - Shared bookkeeping for adapters applying sync operations
+const COUNT_FIELDS = {
+    ADD: 'insertedCount',
+    UPDATE: 'updatedCount',
+    DELETE: 'deletedCount'
+};
+
+/**
+ * Run operations one by one, recording the outcome of each
+ * @param {Array} operations - Operations built by DataComparer.buildSyncOperations
+ * @param {Function} applyOperation - Async function applying one operation, resolves to the number of records written
+ * @returns {Promise<Array>} - Operations with a status and rowCount; rejects with err.results set when an operation fails
+ */
+export async function runOperations(operations, applyOperation) {
+    const results = [];
+    for (const operation of operations) {
+        try {
+            const rowCount = await applyOperation(operation);
+            results.push({ ...operation, status: rowCount ? 'applied' : 'not matched', rowCount });
+        } catch (err) {
+            results.push({ ...operation, status: 'failed', error: err.message });
+            err.results = results;
+            throw err;
+        }
+    }
+    return results;
+}
+
+/**
+ * Build the result returned by an adapter's applyOperations
+ * @param {Array} operations - All planned operations
+ * @param {Array} results - Operations that were attempted, with their status
+ * @param {Object} options - { transaction, error }
+ * @returns {Object} - { success, transaction, insertedCount, updatedCount, deletedCount, operations, error }
+ */
+export function buildApplyResult(operations, results = [], { transaction = false, error } = {}) {
+    const rolledBack = transaction && error;
+    const finalResults = operations.map((operation, index) => {
+        const result = results[index];
+        if (!result) {
+            return { ...operation, status: 'skipped' };
+        }
+        if (rolledBack && result.status === 'applied') {
+            return { ...result, status: 'rolled back' };
+        }
+        return result;
+    });
+
+    // Counts are records written, an operation filtering on a key may write several
+    const applyResult = { success: !error, transaction, insertedCount: 0, updatedCount: 0, deletedCount: 0 };
+    finalResults.forEach(result => {
+        if (result.status === 'applied') {
+            applyResult[COUNT_FIELDS[result.action]] += result.rowCount;
+        }
+    });
+
+    if (error) {
+        applyResult.error = error.message;
+    }
+    applyResult.operations = finalResults;
+    return applyResult;
+}
@@ -5,7 +5,8 @@ import logger from '../utils/logger.js';
 import config from '../config.js';
 
 class DatabaseAdapter {
-    constructor() {
+    constructor(dbConfig = config.dbConfig) {
+        this.dbConfig = dbConfig;
         this.activeAdapter = null;
     }
 
@@ -14,8 +15,8 @@ class DatabaseAdapter {
      */
     async init() {
         try {
-            const Adapter = config.dbConfig.sql ? SQLAdapter : MongoDBAdapter;
-            this.activeAdapter = new Adapter();
+            const Adapter = this.dbConfig.sql ? SQLAdapter : MongoDBAdapter;
+            this.activeAdapter = new Adapter(this.dbConfig);
             await this.activeAdapter.init();
             return { success: true };
         } catch (err) {
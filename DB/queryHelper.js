@@ -0,0 +1,103 @@
+// DB/queryHelper.js - Shared parsing of the declarative dbQuery of a collection config
+export const OPERATORS = ['eq', 'ne', 'in', 'nin', 'gt', 'gte', 'lt', 'lte', 'contains', 'notContains', 'exists'];
+
+const isParam = value => value !== null && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 1 && 'param' in value;
+
+/**
+ * Resolve the parameter values of a query, command line values override the defaults of dbQuery.params
+ * @param {Object} dbQuery - Query definition from the collection config
+ * @param {Object} overrides - { name: value } given on the command line, strings are converted to the type of the default
+ * @returns {Object} - { name: value }
+ */
+export function resolveQueryParams(dbQuery = {}, overrides = {}) {
+    const params = { ...(dbQuery.params || {}) };
+    for (const [name, value] of Object.entries(overrides)) {
+        if (!(name in params)) continue;
+        params[name] = typeof params[name] === 'number' && typeof value === 'string' && value.trim() !== '' && !isNaN(value)
+            ? Number(value)
+            : value;
+    }
+    return params;
+}
+
+/**
+ * Replace { param: name } placeholders with their value
+ */
+export function resolveValue(value, params = {}) {
+    if (Array.isArray(value)) {
+        return value.map(item => resolveValue(item, params));
+    }
+    if (isParam(value)) {
+        if (params[value.param] === undefined || params[value.param] === null) {
+            throw new Error(`Query parameter "${value.param}" has no value`);
+        }
+        return params[value.param];
+    }
+    return value;
+}
+
+/**
+ * Flatten a filter into conditions. A field maps to a value (equality) or to { operator: value } pairs.
+ * @param {Object} filter - e.g. { MachineFamilyID: { param: 'machineFamilyId' }, HookupName: { notContains: ['CAS', 'HAN'] } }
+ * @param {Object} params - Resolved parameter values
+ * @returns {Array} - [{ path, op, value }]
+ */
+export function parseConditions(filter = {}, params = {}) {
+    const conditions = [];
+    for (const [path, condition] of Object.entries(filter)) {
+        const isOperatorObject = condition !== null && typeof condition === 'object' && !Array.isArray(condition) && !isParam(condition);
+        if (!isOperatorObject) {
+            conditions.push({ path, op: 'eq', value: resolveValue(condition, params) });
+            continue;
+        }
+
+        for (const [op, value] of Object.entries(condition)) {
+            if (!OPERATORS.includes(op)) {
+                throw new Error(`Unknown query operator "${op}" for field ${path}`);
+            }
+            conditions.push({ path, op, value: resolveValue(value, params) });
+        }
+    }
+    return conditions;
+}
+
+/**
+ * List the output fields of a query: an array keeps the names, an object maps output names to source paths
+ * @param {Object} dbQuery - Query definition
+ * @returns {Array} - [{ name, path }], empty to return every field
+ */
+export function getQueryFields(dbQuery = {}) {
+    if (Array.isArray(dbQuery.fields)) {
+        return dbQuery.fields.map(field => ({ name: field, path: field }));
+    }
+    return Object.entries(dbQuery.fields || {}).map(([name, path]) => ({ name, path }));
+}
+
+/**
+ * Tell whether a path points into a joined record, e.g. scope.ScopeModel for a join named scope
+ */
+export function getJoinAlias(path, joins = []) {
+    const [first, ...rest] = path.split('.');
+    return rest.length && joins.some(join => join.as === first) ? first : null;
+}
+
+/**
+ * Tell why the records fetched by a query cannot be written back to its collection: joined records carry
+ * fields of other collections, records without their id or with renamed fields do not match the stored ones
+ * @param {Object} dbQuery - Query definition from the collection config
+ * @returns {string|null} - Reason, null when the records can be written back
+ */
+export function getWriteBackProblem(dbQuery) {
+    if (!dbQuery) return null;
+    if (dbQuery.join && dbQuery.join.length) {
+        return `its dbQuery joins ${dbQuery.join.map(join => join.from).join(', ')}`;
+    }
+    if (dbQuery.includeId === false) {
+        return 'its dbQuery leaves out the record id';
+    }
+    const renamed = getQueryFields(dbQuery).filter(({ name, path }) => name !== path);
+    if (renamed.length) {
+        return `its dbQuery renames ${renamed.map(({ name, path }) => `${path} to ${name}`).join(', ')}`;
+    }
+    return null;
+}
@@ -0,0 +1,70 @@
+// DB/scriptHelper.js - Shared parts of the migration scripts written by the adapters
+
+/**
+ * One-line comment describing an operation: its action, key and the source row it comes from
+ * @param {Object} operation - Operation built by DataComparer.buildSyncOperations
+ * @returns {string} - Comment text without the comment marker
+ */
+export function describeOperation(operation) {
+    const source = operation.source ? `from ${operation.source}` : 'database only';
+    return `${operation.action} ${operation.key} (${source})`.replace(/\s+/g, ' ');
+}
+
+/**
+ * Build the operations undoing a migration, in reverse order: added records are deleted, updated fields get
+ * their database value back and deleted records are inserted again from the stored records matching their filter
+ * @param {Array} operations - Operations built by DataComparer.buildSyncOperations, deletes carry the stored records in documents
+ * @returns {Array} - Rollback operations, updates list the fields the rollback empties in unset
+ */
+export function buildRollbackOperations(operations) {
+    return operations.slice().reverse().flatMap(operation => {
+        switch (operation.action) {
+            case 'ADD':
+                return { action: 'DELETE', key: operation.key, source: operation.source, filter: operation.filter };
+            case 'UPDATE': {
+                // Key fields changed by the migration are matched on their new value
+                const filter = { ...operation.filter };
+                Object.keys(filter).forEach(field => {
+                    if (field in operation.changes) filter[field] = operation.changes[field];
+                });
+                const changes = {};
+                const unset = [];
+                Object.keys(operation.changes).forEach(field => {
+                    if (operation.previous[field] === undefined) {
+                        unset.push(field);
+                    } else {
+                        changes[field] = operation.previous[field];
+                    }
+                });
+                return { action: 'UPDATE', key: operation.key, source: operation.source, filter, changes, unset };
+            }
+            case 'DELETE':
+                return operation.documents.map(document => ({ action: 'ADD', key: operation.key, document }));
+            default:
+                throw new Error(`Unknown operation: ${operation.action}`);
+        }
+    });
+}
+
+/**
+ * Header comment lines of a script
+ * @param {string} title - e.g. Migration of hulu.scope
+ * @param {Array} operations - Operations of the script
+ * @param {Array} skipped - Possible matches left out of the operations, [{ key, dbKey }]
+ * @returns {Array} - Lines without the comment marker
+ */
+export function buildScriptHeader(title, operations, skipped = []) {
+    const counts = { ADD: 0, UPDATE: 0, DELETE: 0 };
+    operations.forEach(operation => {
+        counts[operation.action] += 1;
+    });
+    const lines = [
+        `${title}, generated ${new Date().toISOString()} by the data comparison`,
+        `${counts.ADD} inserts, ${counts.UPDATE} updates, ${counts.DELETE} deletes. Review before running.`
+    ];
+    if (skipped.length) {
+        lines.push(`${skipped.length} possible matches are neither inserted nor deleted, review them in the comparison report:`);
+        skipped.forEach(match => lines.push(`- ${match.key} ~ ${match.dbKey}`.replace(/\s+/g, ' ')));
+    }
+    return lines;
+}
@@ -1,26 +1,52 @@
 export default {
   dbConfig: {
     sql: false,
+    sqlClient: "sqlite", // "sqlite" or "postgres", used when sql is true (postgres connects with uri/username/password)
+    filename: "cat5_3.sqlite", // SQLite database file
     uri: "mongodb://localhost:27017/cat5_3",
     username: "your_db_username",
     password: "your_db_password"
   },
   dataSheetsDirectory: "DataSheets",
+  concurrency: 2, // collections processed at the same time, --concurrency overrides it
+  // Canonical value -> other spellings, referenced by columnConfig alias. Matching ignores case and repeated spaces.
+  // A table can also be read from a workbook: { filename, sheetName, canonicalHeader: "Canonical", aliasHeader: "Alias" }
+  aliasTables: {
+    manufacturers: {
+      values: {
+        "Fujifilm": ["Fujinon", "Fujifilm Corp"],
+        "Gyrus ACMI (Olympus)": ["Gyrus ACMI"],
+        "Karl Storz": ["Storz", "Karl Storz SE"],
+        "Olympus": ["Olympus Medical", "Olympus Corp"],
+        "Pentax": ["Pentax Medical"],
+        "Pentax & Hitachi": [],
+        "Richard Wolf": [],
+        "Stryker": ["Stryker Endoscopy"],
+        "Verathon": ["Verathon Medical", "Verathon Inc."]
+      }
+    }
+  },
   collectionConfig: [
     {
       collectionName: "hulu.scope",
       excelCompositeUniqueKeys: ["ManufacturerName", "ScopeModel", "ScopeType", "ScopeFamily", "ScopePerBasin"],
       exactFieldMatch: ["ScopeModel", "ManufacturerName", "ScopeType"], // key to check for exact matches
       dataCompareKey: ["ScopeModel"],
+      possibleMatch: { fields: ["ScopeModel"], threshold: 0.85, ignorePunctuation: true }, // pair ADD/DELETE records with similar scope models
+      // File kept when files disagree on a ScopeModel, listed in mapping order which decided it before
+      sourcePrecedence: ["20601-814 Master HU DB Rev. *.xlsx", "ENSPIRE.xlsx", "ENSPIRE3000.xlsx", "ENSPIRE3000_US.xlsx"],
+      dbQuery: {
+        fields: ["ManufacturerName", "ScopeType", "ScopeModel", "ScopeFamily", "ScopePerBasin"]
+      },
       mapping: [
         {
-          filename: "20601-814 Master HU DB Rev. AM.xlsx",
+          filename: "20601-814 Master HU DB Rev. *.xlsx", // the latest revision found in the data sheets directory
           sheetName: "All Scopes Merged",
-          headerIndex: 5,
           columnConfig: [
             {
               columnName: "ManufacturerName",
-              headerName: "Endoscope Manufacturer"
+              headerName: "Endoscope Manufacturer",
+              alias: "manufacturers"
             },
             {
               columnName: "ScopeType",
@@ -28,7 +54,9 @@ export default {
             },
             {
               columnName: "ScopeModel",
-              headerName: "Scope Model"
+              headerName: "Scope Model",
+              normalize: ["collapseWhitespace", "normalizeDashes"], // unicode dashes and repeated or non-breaking spaces compare equal
+              validate: { required: true }
             },
             {
               columnName: "ScopeFamily",
@@ -38,7 +66,8 @@ export default {
               columnName: "ScopePerBasin",
               headerName: "Number of Scopes per Basin",
               defaultValue: 0,
-              dataType: "number"
+              dataType: "number",
+              validate: { min: 0 } // rows breaking a rule are listed in Reports/Validation
             }
           ]
         },
@@ -48,11 +77,13 @@ export default {
           columnConfig: [
             {
               columnName: "ScopeModel",
-              headerName: "MODELNUMBER"
+              headerName: "MODELNUMBER",
+              normalize: ["collapseWhitespace", "normalizeDashes"]
             },
             {
               columnName: "ManufacturerName",
-              headerName: "MANUFACTURER"
+              headerName: "MANUFACTURER",
+              alias: "manufacturers"
             },
             {
               columnName: "ScopeType",
@@ -66,11 +97,13 @@ export default {
           columnConfig: [
             {
               columnName: "ScopeModel",
-              headerName: "MODELNUMBER"
+              headerName: "MODELNUMBER",
+              normalize: ["collapseWhitespace", "normalizeDashes"]
             },
             {
               columnName: "ManufacturerName",
-              headerName: "MANUFACTURER"
+              headerName: "MANUFACTURER",
+              alias: "manufacturers"
             },
             {
               columnName: "ScopeType",
@@ -84,11 +117,13 @@ export default {
           columnConfig: [
             {
               columnName: "ScopeModel",
-              headerName: "MODELNUMBER"
+              headerName: "MODELNUMBER",
+              normalize: ["collapseWhitespace", "normalizeDashes"]
             },
             {
               columnName: "ManufacturerName",
-              headerName: "MANUFACTURER"
+              headerName: "MANUFACTURER",
+              alias: "manufacturers"
             },
             {
               columnName: "ScopeType",
@@ -103,12 +138,37 @@ export default {
       excelCompositeUniqueKeys: ["HookupName", "ScopeFamily", "ScopePerBasin"], // Fields to create composite key for deduplication
       dataCompareKey: ["HookupName", "ScopeFamily"], // unique key for data base records
       exactFieldMatch: ["HookupName", "ScopeFamily"], // key to check for exact matches
-      excludeRecord: [{ columnName: "HookupName", values: ["", null, undefined, 0, "0"] }],
+      // Rows removed before the duplicate check, counted per filter name in the summary
+      rowFilters: [
+        { name: "Empty hookup name", exclude: { HookupName: { in: ["", null, 0] } } },
+        // Same hookups the dbQuery filter leaves out
+        { name: "CAS/HAN hookups", exclude: { MachineFamilyID: 2, HookupName: { matches: "CAS|HAN" } } }
+      ],
+      // Hookups of one machine family joined with the first scope of their scope family, override with --param machineFamilyId=<id>
+      dbQuery: {
+        params: { machineFamilyId: 2 },
+        filter: {
+          MachineFamilyID: { param: "machineFamilyId" },
+          HookupName: { notContains: ["CAS", "HAN"] }
+        },
+        join: [{ from: "hulu.scope", localField: "ScopeSfamId", foreignField: "ScopeFamilyId", as: "scope" }],
+        fields: {
+          HookupName: "HookupName",
+          MachineFamilyID: "MachineFamilyID",
+          ScopeModel: "scope.ScopeModel",
+          ScopeModelId: "scope.ScopeModelId",
+          ScopeType: "scope.ScopeType",
+          ManufacturerName: "scope.ManufacturerName",
+          ScopeFamily: "scope.ScopeFamily",
+          ScopeFamilyId: "scope.ScopeFamilyId",
+          ScopePerBasin: "scope.ScopePerBasin"
+        },
+        includeId: false
+      },
       mapping: [
         {
-          filename: "20601-814 Master HU DB Rev. AM.xlsx",
+          filename: "20601-814 Master HU DB Rev. *.xlsx",
           sheetName: "All Scopes Merged",
-          headerIndex: 5,
           recordHeader: "Adv",
           columnConfig: [
             {
@@ -117,7 +177,8 @@ export default {
             },
             {
               columnName: "ManufacturerName",
-              headerName: "Endoscope Manufacturer"
+              headerName: "Endoscope Manufacturer",
+              alias: "manufacturers"
             },
             {
               columnName: "ScopeType",
@@ -4,25 +4,108 @@ import logger from './utils/logger.js';
 import fse from 'fs-extra';
 import path from 'path';
 import DatabaseAdapter from './DB/index.js';
+import SimilarityHelper from './utils/similarityHelper.js';
+import HtmlReportHelper from './utils/htmlReportHelper.js';
+import Normalizer from './utils/normalizer.js';
+import AliasHelper from './utils/aliasHelper.js';
+import ProvenanceHelper from './utils/provenanceHelper.js';
+import PhaseTimer from './utils/phaseTimer.js';
+import RowFilter from './utils/rowFilter.js';
+import WorkbookExporter from './utils/workbookExporter.js';
+import FieldComparator from './utils/fieldComparator.js';
 import { report } from 'process';
 
 class DataComparer {
-    constructor() {
+    /**
+     * @param {Object} options - Run options
+     * @param {Object} options.dbConfig - Database configuration passed to the DatabaseAdapter
+     * @param {string} options.reportsDirectory - Directory the reports are written to
+     * @param {boolean} options.dryRun - Run every step without writing report files
+     * @param {boolean} options.skipDb - Skip the database comparison
+     * @param {Array} options.applyActions - Actions to write back to the database ('add', 'update', 'delete'), empty to only report
+     * @param {Array} options.scriptActions - Actions written to migration and rollback scripts for review, empty for no scripts
+     * @param {boolean} options.htmlReport - Also write a self-contained HTML report per collection
+     * @param {Object} options.aliasTables - Alias tables referenced by columnConfig alias, see config.aliasTables
+     * @param {Object} options.queryParams - Values overriding the params of the collection dbQuery
+     */
+    constructor({ dbConfig, reportsDirectory, dryRun = false, skipDb = false, applyActions = [], scriptActions = [], htmlReport = false, aliasTables = {}, queryParams = {} } = {}) {
         this.excelHelper = new ExcelHelper();
+        this.htmlReportHelper = new HtmlReportHelper();
+        this.normalizer = new Normalizer();
+        this.aliasHelper = new AliasHelper();
+        this.provenanceHelper = new ProvenanceHelper();
+        this.rowFilter = new RowFilter();
+        this.workbookExporter = new WorkbookExporter();
+        this.fieldComparator = new FieldComparator();
+        this.aliasTables = aliasTables;
+        this.loadedAliasTables = null;
+        this.queryParams = queryParams;
+        this.htmlReport = htmlReport;
+        this.dbConfig = dbConfig;
+        this.reportsDirectory = path.resolve(reportsDirectory || 'Reports');
+        this.dryRun = dryRun;
+        this.skipDb = skipDb;
+        this.applyActions = applyActions.map(action => action.toUpperCase());
+        this.scriptActions = scriptActions.map(action => action.toUpperCase());
+        // One database connection per run, opened by the first collection that needs it and closed by close()
+        this.dbAdapter = null;
+        this.dbConnection = null;
+    }
+
+    /**
+     * Connect to the database once, collections processed concurrently share the connection
+     * @returns {Promise<Object>} - { success, adapter, error }, adapter is the active SQL or MongoDB adapter
+     */
+    connectDatabase() {
+        if (!this.dbConnection) {
+            const dbAdapter = new DatabaseAdapter(this.dbConfig);
+            this.dbAdapter = dbAdapter;
+            this.dbConnection = dbAdapter.init()
+                .then(result => result.success ? { success: true, adapter: dbAdapter.getAdapter() } : result);
+        }
+        return this.dbConnection;
+    }
+
+    /**
+     * Close the database connection of the run and drop the parsed source files it cached
+     */
+    async close() {
+        this.excelHelper.workbookCache.clear();
+        const { dbAdapter, dbConnection } = this;
+        this.dbAdapter = null;
+        this.dbConnection = null;
+        if (dbAdapter) {
+            // A connection still opening is closed once it is open
+            await dbConnection;
+            await dbAdapter.close();
+        }
     }
 
     /**
      * Create a composite key for deduplication
      * @param {Object} record - Data record
      * @param {Array} compositeKeys - Array of field names to create composite key
+     * @param {Object} normalizers - Column normalizers applied to the key values, from Normalizer.buildColumnNormalizers
      * @returns {string} - Composite key string
      */
-    createCompositeKey(record, compositeKeys) {
-        return compositeKeys.map(key => [undefined, null].includes(record[key]) ? '' : record[key]).join('|').toLowerCase().trim();
+    createCompositeKey(record, compositeKeys, normalizers = {}) {
+        return compositeKeys.map(key => {
+            const value = this.normalizer.normalizeValue(record[key], normalizers[key]);
+            if (value instanceof Date) return value.toISOString();
+            return [undefined, null].includes(value) ? '' : value;
+        }).join('|').toLowerCase().trim();
+    }
+
+    /**
+     * Timestamp used in report file names, e.g. 20250101T120000000Z
+     */
+    createTimestamp() {
+        return new Date().toISOString().replace(/[-:.]/g, '');
     }
 
     getDuplicateStats(data, compositeKeys) {
-        const uniqueKeys = new Set();
+        // composite key -> first record seen with that key
+        const uniqueKeys = new Map();
         const uniqueData = [];
         const duplicates = [];
         const duplicateSet = new Set();
@@ -30,7 +113,7 @@ class DataComparer {
             const compositeKey = this.createCompositeKey(record, compositeKeys);
 
             if (!uniqueKeys.has(compositeKey)) {
-                uniqueKeys.add(compositeKey);
+                uniqueKeys.set(compositeKey, record);
                 uniqueData.push(record);
             } else {
                 // if exists in duplicateSet, increment count
@@ -41,6 +124,7 @@ class DataComparer {
                 }
                 duplicates.push({
                     record: record,
+                    firstRecord: uniqueKeys.get(compositeKey),
                     compositeKey: compositeKey,
                     duplicateCount: 1
                 });
@@ -57,15 +141,106 @@ class DataComparer {
         };
     }
 
+    /**
+     * Keep one record per dataCompareKey and list the fields the source files disagree on.
+     * The record of the file listed first in sourcePrecedence wins, unlisted files follow in mapping order.
+     * @param {Array} records - Records without composite key duplicates
+     * @param {Array} dataCompareKey - Fields identifying a record in the database
+     * @param {Array} sourcePrecedence - Source filenames, highest precedence first
+     * @returns {Object} - { records, conflicts: [{ DataKey, Field, Chosen Source, Chosen Value, <filename>: value }] }
+     */
+    selectRecordsPerDataKey(records, dataCompareKey = [], sourcePrecedence = []) {
+        const groups = new Map();
+        records.forEach(record => {
+            const dataKey = this.createCompositeKey(record, dataCompareKey);
+            if (!groups.has(dataKey)) {
+                groups.set(dataKey, []);
+            }
+            groups.get(dataKey).push(record);
+        });
+
+        const getSourceName = record => {
+            const source = this.provenanceHelper.getSource(record);
+            return source ? source.filename : 'Unknown source';
+        };
+        // Precedence lists the mapping filenames, which may be patterns resolved to another file
+        const getRank = record => {
+            const source = this.provenanceHelper.getSource(record) || {};
+            let rank = sourcePrecedence.indexOf(source.filename);
+            if (rank === -1) {
+                rank = sourcePrecedence.indexOf(source.pattern);
+            }
+            return rank === -1 ? sourcePrecedence.length : rank;
+        };
+
+        const selected = [];
+        const conflicts = [];
+        groups.forEach((group, dataKey) => {
+            // Array sort is stable, records of equal rank keep their mapping order
+            const ranked = group.length > 1 ? [...group].sort((a, b) => getRank(a) - getRank(b)) : group;
+            const chosen = ranked[0];
+            selected.push(chosen);
+
+            // The first record of each file stands for that file
+            const bySource = new Map();
+            ranked.forEach(record => {
+                const sourceName = getSourceName(record);
+                if (!bySource.has(sourceName)) {
+                    bySource.set(sourceName, record);
+                }
+            });
+            if (bySource.size < 2) return;
+
+            const fields = [...new Set([...bySource.values()].flatMap(record => Object.keys(record)))]
+                .filter(field => !dataCompareKey.includes(field));
+            for (const field of fields) {
+                const mapped = [...bySource.entries()].filter(([, record]) => record[field] !== undefined);
+                if (mapped.length < 2 || mapped.every(([, record]) => this.isFieldEqual(record[field], mapped[0][1][field]))) {
+                    continue;
+                }
+
+                const conflict = {
+                    DataKey: dataKey,
+                    Field: field,
+                    'Chosen Source': getSourceName(chosen),
+                    'Chosen Value': chosen[field]
+                };
+                mapped.forEach(([sourceName, record]) => {
+                    conflict[sourceName] = record[field];
+                });
+                conflicts.push(conflict);
+            }
+        });
+
+        return { records: selected, conflicts };
+    }
+
+    /**
+     * Build a duplicates sheet row with the source of the duplicate and of the record it duplicates
+     * @param {Object} duplicate - Entry of getDuplicateStats duplicateRecords
+     * @param {string} reportFolder - Folder of the report, source links are relative to it
+     * @returns {Object} - Report row
+     */
+    createDuplicateRow(duplicate, reportFolder) {
+        return {
+            ...duplicate.record,
+            CompositeKey: duplicate.compositeKey,
+            DuplicateCount: duplicate.duplicateCount,
+            ...this.provenanceHelper.toColumns(duplicate.record, reportFolder),
+            'Duplicate Of': this.provenanceHelper.describe(duplicate.firstRecord)
+        };
+    }
+
     /**
      * Get duplicate statistics, remove duplicates from data, and generate duplicate report
      * @param {Array} data - Array of data records
      * @param {Array} compositeKeys - Array of field names for composite key
      * @param {string} collectionName - Name of the collection
      * @param {Array} processedFiles - Array of processed file information
+     * @param {Array} sourcePrecedence - Source filenames, highest precedence first, deciding which record is kept per dataCompareKey
      * @returns {Object} - Object containing unique data and success status
      */
-    async generateDuplicateReport({ data, compositeKeys, collectionName, processedFiles = [], dataCompareKey = [] }) {
+    async generateDuplicateReport({ data, compositeKeys, collectionName, processedFiles = [], dataCompareKey = [], sourcePrecedence = [], timestamp = this.createTimestamp() }) {
         if (!compositeKeys || compositeKeys.length === 0) {
             logger.info('No composite keys defined, skipping deduplication');
             return { success: false };
@@ -81,24 +256,30 @@ class DataComparer {
         }
 
         const duplicateResult = this.getDuplicateStats(data, compositeKeys);
-        const uniqueRecordsPerDataKey = [];
-        const uniqueDataKeySet = new Set();
+        // finding unique records per data key
+        const { records: uniqueRecordsPerDataKey, conflicts } = this.selectRecordsPerDataKey(duplicateResult.uniqueRecords, dataCompareKey, sourcePrecedence);
+        if (conflicts.length) {
+            logger.info(`Found ${conflicts.length} fields where source files disagree for collection ${collectionName}`);
+        }
+
+        const duplicatesFolder = path.join(this.reportsDirectory, 'Duplicates', collectionName);
+        const combinedDuplicateData = duplicateResult.duplicateRecords.map(dup => this.createDuplicateRow(dup, duplicatesFolder));
+
+        if (this.dryRun) {
+            logger.info(`Dry run: skipping duplicate report files for collection ${collectionName}`);
+            return { success: true, uniqueRecords: uniqueRecordsPerDataKey, duplicateCount: duplicateResult.duplicateCount, conflictCount: conflicts.length };
+        }
+
         try {
-            const duplicatesFolder = path.join(process.cwd(), 'Reports', 'Duplicates', collectionName);
-            const uniqueFolder= path.join(process.cwd(), 'Reports', 'comparison', collectionName);
+            const uniqueFolder= path.join(this.reportsDirectory, 'comparison', collectionName);
             await fse.ensureDir(uniqueFolder);
             await fse.ensureDir(duplicatesFolder);
-            const timestamp = new Date().toISOString().replace(/[-:.]/g, '');
 
             for (const file of processedFiles) {
                 if (file.duplicateRecords && file.duplicateRecords.length > 0) {
-                    const duplicateData = file.duplicateRecords.map(dup => ({
-                        ...dup.record,
-                        CompositeKey: dup.compositeKey,
-                        DuplicateCount: dup.duplicateCount
-                    }));
+                    const duplicateData = file.duplicateRecords.map(dup => this.createDuplicateRow(dup, duplicatesFolder));
 
-                    const fileName = `${file.filename.replace('.xlsx', '')}_Duplicates_${collectionName}_${timestamp}.xlsx`;
+                    const fileName = `${path.parse(file.filename).name}_Duplicates_${collectionName}_${timestamp}.xlsx`;
                     const filePath = path.join(duplicatesFolder, fileName);
 
                     await this.excelHelper.writeExcel(
@@ -113,13 +294,7 @@ class DataComparer {
             }
 
             // Generate combined duplicates Excel report
-            if (duplicateResult.duplicateRecords.length > 0) {
-                const combinedDuplicateData = duplicateResult.duplicateRecords.map(dup => ({
-                    ...dup.record,
-                    CompositeKey: dup.compositeKey,
-                    DuplicateCount: dup.duplicateCount
-                }));
-
+            if (combinedDuplicateData.length > 0) {
                 const combinedFileName = `Combined_Duplicates_${collectionName.replace(/\./g, '_')}_${timestamp}.xlsx`;
                 const combinedFilePath = path.join(duplicatesFolder, combinedFileName);
 
@@ -129,36 +304,47 @@ class DataComparer {
                     'Combined Duplicates',
                     this.getColumns(combinedDuplicateData[0])
                 );
-
-                // finding unique records per data key
-                duplicateResult.uniqueRecords.forEach(record => {
-                    const compositeKey = this.createCompositeKey(record, dataCompareKey);
-                    if (!uniqueDataKeySet.has(compositeKey)) {
-                        uniqueDataKeySet.add(compositeKey);
-                        uniqueRecordsPerDataKey.push(record);
-                    }
-                });
-
-                // Write unique records to a separate file
-                await this.excelHelper.writeExcel(
-                    uniqueRecordsPerDataKey,
-                    path.join(uniqueFolder, `Unique_${collectionName}_${timestamp}.xlsx`),
-                    'Unique Records',
-                    this.getColumns(uniqueRecordsPerDataKey[0])
-                );
-                const summary = {
-                    collectionName: collectionName,
-                    processedFiles: processedFiles.map(file => ({ fileName: file.filename, duplicateCount: file.duplicateCount })),
-                    uniqueCount: uniqueRecordsPerDataKey.length,
-                    duplicateCount: duplicateResult.duplicateCount,
-                    compositeKeys: compositeKeys
-                };
-                fse.outputFile(path.join(duplicatesFolder, `Summary_${collectionName}_${timestamp}.json`), JSON.stringify(summary, null, 2));
                 logger.info(`Combined duplicate Excel report generated: ${combinedFilePath}`);
             }
 
+            if (conflicts.length > 0) {
+                const conflictsFilePath = path.join(duplicatesFolder, `Source_Conflicts_${collectionName.replace(/\./g, '_')}_${timestamp}.xlsx`);
+                await this.excelHelper.writeMultiSheetExcel([{ name: 'Source Conflicts', data: conflicts }], conflictsFilePath);
+                logger.info(`Source conflicts Excel report generated: ${conflictsFilePath}`);
+            }
+
+            // Write unique records to a separate file
+            const uniqueData = uniqueRecordsPerDataKey.map(record => ({ ...record, ...this.provenanceHelper.toColumns(record, uniqueFolder) }));
+            await this.excelHelper.writeExcel(
+                uniqueData,
+                path.join(uniqueFolder, `Unique_${collectionName}_${timestamp}.xlsx`),
+                'Unique Records',
+                this.getColumns(uniqueData[0])
+            );
+            const summary = {
+                collectionName: collectionName,
+                timestamp: new Date().toISOString(),
+                // fileName and sheetName are the file and sheet actually read, pattern the configured filename
+                processedFiles: processedFiles.map(file => ({ fileName: file.filename, pattern: file.pattern, sheetName: file.sheetName, filtered: file.filtered, duplicateCount: file.duplicateCount })),
+                uniqueCount: uniqueRecordsPerDataKey.length,
+                duplicateCount: duplicateResult.duplicateCount,
+                conflictCount: conflicts.length,
+                compositeKeys: compositeKeys,
+                duplicateKeys: duplicateResult.duplicateRecords.map(dup => dup.compositeKey)
+            };
+            await fse.outputFile(path.join(duplicatesFolder, `Summary_${collectionName}_${timestamp}.json`), JSON.stringify(summary, null, 2));
+
             logger.info(`Duplicate report generated successfully`);
-            return { success: true, uniqueRecords: uniqueRecordsPerDataKey };
+            return {
+                success: true,
+                uniqueRecords: uniqueRecordsPerDataKey,
+                duplicateCount: duplicateResult.duplicateCount,
+                conflictCount: conflicts.length,
+                sheets: [
+                    { name: 'Combined Duplicates', data: combinedDuplicateData },
+                    { name: 'Source Conflicts', data: conflicts }
+                ]
+            };
         } catch (err) {
             logger.error({ err }, `Error generating duplicate report for collection ${collectionName}: ${err.message}`);
             return { success: false, error: err.message };
@@ -169,52 +355,128 @@ class DataComparer {
      * Generate report for a collection by processing all mapped files
      * @param {Object} collectionConfig - Collection configuration
      * @param {string} dataSheetsDirectory - Directory containing Excel files
+     * @param {Array} readResults - Results of readCollections for this collection, the files are read when missing
      * @returns {Promise<Object>} - Generated report
      */
-    async generateReport(collectionConfig, dataSheetsDirectory) {
-        const { collectionName, mapping, excelCompositeUniqueKeys, dataCompareKey, exactFieldMatch, excludeRecord } = collectionConfig;
+    async generateReport(collectionConfig, dataSheetsDirectory, readResults = null) {
+        const { collectionName, mapping, excelCompositeUniqueKeys, dataCompareKey, exactFieldMatch, possibleMatch, sourcePrecedence, dbQuery, excludeInvalidRows } = collectionConfig;
         let allExtractedData = [];
         const processedFiles = [];
+        // Shared by every report of this run so history can group them
+        const timestamp = this.createTimestamp();
+        // Values that matched no alias table entry, reported per column and source
+        const unmatchedAliases = new Map();
+        // Rows breaking the validate rules of columnConfig
+        const validationErrors = [];
+        let excludedInvalidCount = 0;
+        // filter name -> rows removed from every file
+        const filteredCounts = {};
+        const timer = new PhaseTimer(collectionName);
 
         try {
-            for (const fileMapping of mapping) {
-                const result = await this.excelHelper.readExcel({ fileMapping, dataSheetsDirectory, excludeRecord });
+            const aliasResult = await this.loadAliasTables(dataSheetsDirectory);
+            if (!aliasResult.success) {
+                return { success: false, collectionName, error: aliasResult.error };
+            }
+            const columnAliases = this.aliasHelper.buildColumnAliases(mapping, aliasResult.tables);
+            // Applied to the database values so they match the normalized and aliased Excel values
+            const normalizers = this.aliasHelper.withAliases(this.normalizer.buildColumnNormalizers(mapping), columnAliases);
+            const comparators = this.fieldComparator.buildColumnComparators(mapping);
+            // exactFieldMatch, or every mapped column with compareAllFields
+            const compareFields = this.fieldComparator.getCompareFields(collectionConfig);
 
+            const rowFilters = this.rowFilter.getCollectionFilters(collectionConfig);
+            const results = readResults || await timer.time('read', () => this.excelHelper.readFiles({
+                sources: mapping.map(fileMapping => ({ fileMapping, rowFilters })),
+                dataSheetsDirectory
+            }));
+
+            for (const [index, result] of results.entries()) {
+                // A sheet without one of its required columns would silently lose that field
+                if (result.missingColumns) {
+                    return { success: false, collectionName, error: result.error };
+                }
                 if (!result.success) {
-                    logger.info(`Failed to read file: ${fileMapping.filename}`);
+                    logger.info(`Failed to read file: ${mapping[index].filename}`);
                     continue;
                 }
 
+                Object.entries(result.filterCounts).forEach(([name, count]) => {
+                    filteredCounts[name] = (filteredCounts[name] || 0) + count;
+                });
+                result.validationErrors.forEach(error => validationErrors.push(error));
+                let records = result.data;
+                if (excludeInvalidRows && result.invalidRecords.size) {
+                    records = records.filter(record => !result.invalidRecords.has(record));
+                    excludedInvalidCount += result.invalidRecords.size;
+                    logger.info(`Excluded ${result.invalidRecords.size} invalid records of ${result.filename}`);
+                }
+
+                const fileData = this.aliasHelper.applyAliases(records, columnAliases, result.filename, unmatchedAliases);
+
                 // Combine data from all files
-                allExtractedData = allExtractedData.concat(result.data);
+                allExtractedData = allExtractedData.concat(fileData);
                 processedFiles.push({
                     filename: result.filename,
+                    pattern: result.pattern,
                     sheetName: result.sheetName,
                     recordCount: result.recordCount,
-                    fileData: result.data
+                    filtered: result.filterCounts,
+                    fileData: fileData
                 });
             }
 
             logger.info(`Total records extracted from all files: ${allExtractedData.length}`);
-            const result = await this.generateDuplicateReport({ data: allExtractedData, compositeKeys: excelCompositeUniqueKeys, collectionName, processedFiles, dataCompareKey });
+            Object.entries(filteredCounts).forEach(([name, count]) => logger.info(`Filter "${name}" removed ${count} rows of ${collectionName}`));
+            const filteredCount = Object.values(filteredCounts).reduce((total, count) => total + count, 0);
+            const summary = { extractedCount: allExtractedData.length, filteredCount, filteredCounts, validationErrorCount: validationErrors.length, excludedInvalidCount };
+            const result = await timer.time('duplicates', () => this.generateDuplicateReport({ data: allExtractedData, compositeKeys: excelCompositeUniqueKeys, collectionName, processedFiles, dataCompareKey, sourcePrecedence, timestamp }));
 
             if (!result.success) {
                 logger.info(`Failed to generate duplicate report for collection ${collectionName}`);
-                return { success: false };
+                return { success: false, collectionName, error: result.error || 'Failed to generate duplicate report' };
+            }
+
+            summary.uniqueCount = result.uniqueRecords.length;
+            summary.duplicateCount = result.duplicateCount;
+            summary.conflictCount = result.conflictCount;
+
+            const htmlSections = result.sheets || [];
+
+            if (this.skipDb) {
+                logger.info(`Skipping database comparison for collection ${collectionName}`);
+                await timer.time('reports', async () => {
+                    const validationSheets = await this.generateValidationReport({ collectionName, validationErrors, timestamp });
+                    const aliasSheets = await this.generateAliasReport({ collectionName, unmatchedAliases, summary, timestamp });
+                    await this.generateHtmlReport({ collectionName, summary, sections: htmlSections.concat(validationSheets, aliasSheets), timestamp });
+                });
+                this.logTimings(timer, summary);
+                return { success: true, collectionName, summary };
             }
 
-            const comparisonResult = await this.generateComparisonReport({ uniqueRecords: result.uniqueRecords, collectionName, compositeKeys: dataCompareKey, exactFieldMatch });
+            const comparisonResult = await timer.time('comparison', () => this.generateComparisonReport({ uniqueRecords: result.uniqueRecords, collectionName, compositeKeys: dataCompareKey, exactFieldMatch: compareFields, possibleMatch, normalizers, comparators, columnAliases, unmatchedAliases, dbQuery, timestamp }));
 
             if (!comparisonResult.success) {
                 logger.info(`Failed to generate comparison report for collection ${collectionName}`);
-                return { success: false };
+                return { success: false, collectionName, error: comparisonResult.error || 'Failed to generate comparison report' };
+            }
+
+            summary.comparison = comparisonResult.summary;
+            await timer.time('reports', async () => {
+                const validationSheets = await this.generateValidationReport({ collectionName, validationErrors, timestamp });
+                const aliasSheets = await this.generateAliasReport({ collectionName, unmatchedAliases, summary, timestamp });
+                await this.generateHtmlReport({ collectionName, summary, sections: htmlSections.concat(comparisonResult.sheets || [], validationSheets, aliasSheets), timestamp });
+            });
+            this.logTimings(timer, summary);
+            if (comparisonResult.apply && comparisonResult.apply.success === false) {
+                return { success: false, collectionName, summary, apply: comparisonResult.apply, error: `Apply failed: ${comparisonResult.apply.error}` };
             }
 
-            return { success: true };
+            return { success: true, collectionName, summary, apply: comparisonResult.apply };
 
         } catch (err) {
             logger.error({ err }, `Error generating report for collection ${collectionName}: ${err.message}`);
-            return { success: false, error: err.message };
+            return { success: false, collectionName, error: err.message };
         }
     }
 
@@ -223,41 +485,99 @@ class DataComparer {
      * @param {Array} uniqueRecords - Unique records from Excel files
      * @param {string} collectionName - Name of the collection/table to compare with
      * @param {Array} compositeKeys - Array of field names for composite key comparison
+     * @param {Object} possibleMatch - Similarity options used to pair records to add with records to delete
+     * @param {Object} normalizers - Column normalizers used for keys and field comparisons
+     * @param {Object} comparators - Column comparators, from FieldComparator.buildColumnComparators
+     * @param {Object} columnAliases - Alias tables of the collection columns
+     * @param {Map} unmatchedAliases - Collects the database values that matched no alias
+     * @param {Object} dbQuery - Declarative query used to fetch the database records
+     * @param {string} timestamp - Run timestamp used in the report file names
      * @returns {Promise<Object>} - Comparison report result
      */
-    async generateComparisonReport({ uniqueRecords, collectionName, compositeKeys = [], exactFieldMatch = [] }) {
-        const dbAdapter = new DatabaseAdapter();
+    async generateComparisonReport({ uniqueRecords, collectionName, compositeKeys = [], exactFieldMatch = [], possibleMatch, normalizers = {}, comparators = {}, columnAliases = {}, unmatchedAliases = new Map(), dbQuery, timestamp = this.createTimestamp() }) {
         try {
-            const initResult = await dbAdapter.init();
-            if (!initResult.success) {
+            const connection = await this.connectDatabase();
+            if (!connection.success) {
                 logger.info('Failed to initialize database adapter');
-                return { success: false };
+                return { success: false, error: connection.error };
             }
 
-            const adapter = dbAdapter.getAdapter();
-            const dbResult = await adapter.fetchRecords(collectionName);
+            const { adapter } = connection;
+            const dbResult = await adapter.fetchRecords(collectionName, dbQuery, this.queryParams);
 
             if (!dbResult.success) {
                 logger.info(`Failed to fetch records from collection: ${collectionName}`);
-                return { success: false };
+                return { success: false, error: dbResult.error };
             }
 
             const dbRecords = dbResult.data;
-            const comparisonResult = this.compareData({ uniqueRecords, dbRecords, compositeKeys, exactFieldMatch });
+            this.aliasHelper.collectUnmatched(dbRecords, columnAliases, 'Database', unmatchedAliases);
+            const comparisonResult = this.compareData({ uniqueRecords, dbRecords, compositeKeys, exactFieldMatch, possibleMatch, normalizers, comparators });
 
             if (!comparisonResult.success) {
                 logger.info(`Failed to compare data for collection: ${collectionName}`);
-                return { success: false };
+                return { success: false, error: comparisonResult.error };
+            }
+
+            const reportData = comparisonResult.reportData;
+            const comparisonSummary = {
+                dbCount: dbRecords.length,
+                addCount: reportData.numberOfRecordsToAddInDB,
+                deleteCount: reportData.numberOfRecordsToDeleteFromDB,
+                possibleMatchCount: reportData.possibleMatches.length,
+                updateCount: reportData.noOfChangesRequiredInDB,
+                exactMatchCount: reportData.noOfExactMatches,
+                dbDuplicateCount: reportData.recordsDuplicateInDBCount
+            };
+
+            // Records without id are written by key, one write would change every database record sharing it
+            const unkeyedDuplicates = reportData.recordsDuplicateInDB.filter(record => record._id === undefined);
+            if ((this.applyActions.length || this.scriptActions.length) && unkeyedDuplicates.length) {
+                const error = `Cannot write back ${collectionName}: ${unkeyedDuplicates.length} database records without id share their key with another record`;
+                logger.info(error);
+                return { success: false, error };
+            }
+
+            let applyResult = null;
+            if (this.applyActions.length) {
+                const operations = this.buildSyncOperations({ reportData, compositeKeys, exactFieldMatch, normalizers, comparators, actions: this.applyActions });
+                if (this.dryRun) {
+                    logger.info(`Dry run: ${operations.length} operations planned for collection ${collectionName}, nothing written`);
+                    applyResult = { success: true, dryRun: true, operations };
+                } else {
+                    logger.info(`Applying ${operations.length} operations to collection ${collectionName}`);
+                    applyResult = await adapter.applyOperations(collectionName, operations);
+                }
+                applyResult.skipped = this.getSkippedPossibleMatches(reportData, compositeKeys, normalizers, this.applyActions);
+                comparisonSummary.apply = {
+                    dryRun: this.dryRun,
+                    success: applyResult.success,
+                    transaction: applyResult.transaction,
+                    plannedCount: operations.length,
+                    insertedCount: applyResult.insertedCount || 0,
+                    updatedCount: applyResult.updatedCount || 0,
+                    deletedCount: applyResult.deletedCount || 0,
+                    skippedCount: applyResult.skipped.length
+                };
+            }
+
+            if (this.scriptActions.length) {
+                const operations = this.buildSyncOperations({ reportData, compositeKeys, exactFieldMatch, normalizers, comparators, actions: this.scriptActions });
+                const skipped = this.getSkippedPossibleMatches(reportData, compositeKeys, normalizers, this.scriptActions);
+                comparisonSummary.scripts = await this.generateMigrationScripts({ adapter, collectionName, operations, skipped, timestamp });
+            }
+
+            if (this.dryRun) {
+                logger.info(`Dry run: skipping comparison report files for collection ${collectionName}`);
+                return { success: true, summary: comparisonSummary, apply: applyResult };
             }
 
             // Create Reports/Comparison directory
-            const comparisonFolder = path.join(process.cwd(), 'Reports', 'Comparison', collectionName);
+            const comparisonFolder = path.join(this.reportsDirectory, 'Comparison', collectionName);
             await fse.ensureDir(comparisonFolder);
-            const timestamp = new Date().toISOString().replace(/[-:.]/g, '');
 
             // Generate Excel comparison report with multiple sheets
             const sheets = [];
-            const reportData = comparisonResult.reportData;
 
             // Records to Add sheet
             if (reportData.recordsToAddInDB && reportData.numberOfRecordsToAddInDB) {
@@ -266,6 +586,7 @@ class DataComparer {
                     for (const record of item.records) {
                         addData.push({
                             ...record,
+                            ...this.provenanceHelper.toColumns(record, comparisonFolder),
                             Action: item.action
                         });
                     }
@@ -295,10 +616,13 @@ class DataComparer {
 
             // Records to Update sheet
             if (reportData.changesRequiredInDB && reportData.changesRequiredInDB.length > 0) {
+                const updateHighlights = [];
                 const updateData = reportData.changesRequiredInDB.map(item => {
                     const flatDiff = {
-                        Action: 'UPDATE'
+                        Action: 'UPDATE',
+                        'Changed Fields': this.formatDifferences(item.differences)
                     };
+                    updateHighlights.push(item.differences.flatMap(difference => [`Excel_${difference.field}`, `DB_${difference.field}`]));
 
                     // Add Excel values with prefix
                     if (item.excelRecords) {
@@ -306,6 +630,7 @@ class DataComparer {
                             Object.keys(record).forEach(key => {
                                 flatDiff[`Excel_${key}`] = record[key];
                             });
+                            Object.assign(flatDiff, this.provenanceHelper.toColumns(record, comparisonFolder, 'Excel_'));
                         }
                     }
 
@@ -322,7 +647,34 @@ class DataComparer {
                 });
                 sheets.push({
                     name: 'Records to Update',
-                    data: updateData
+                    data: updateData,
+                    highlights: updateHighlights
+                });
+            }
+
+            // Possible Matches sheet
+            if (reportData.possibleMatches.length) {
+                const matchHighlights = [];
+                const matchData = reportData.possibleMatches.map(match => {
+                    const row = {
+                        Action: 'POSSIBLE MATCH',
+                        Similarity: Number(match.score.toFixed(3)),
+                        'Changed Fields': this.formatDifferences(match.differences)
+                    };
+                    Object.keys(match.excelRecord).forEach(key => {
+                        row[`Excel_${key}`] = match.excelRecord[key];
+                    });
+                    Object.assign(row, this.provenanceHelper.toColumns(match.excelRecord, comparisonFolder, 'Excel_'));
+                    Object.keys(match.dbRecord).forEach(key => {
+                        row[`DB_${key}`] = match.dbRecord[key];
+                    });
+                    matchHighlights.push(match.differences.flatMap(difference => [`Excel_${difference.field}`, `DB_${difference.field}`]));
+                    return row;
+                });
+                sheets.push({
+                    name: 'Possible Matches',
+                    data: matchData,
+                    highlights: matchHighlights
                 });
             }
 
@@ -347,6 +699,7 @@ class DataComparer {
                 { Metric: 'Records to Add', Count: reportData.numberOfRecordsToAddInDB },
                 { Metric: 'Records to Delete', Count: reportData.numberOfRecordsToDeleteFromDB },
                 { Metric: 'Records to Update', Count: reportData.noOfChangesRequiredInDB },
+                { Metric: 'Possible Matches', Count: reportData.possibleMatches.length },
                 { Metric: 'Exact Matches (Composite)', Count: reportData.noOfExactMatches },
                 { Metric: 'Exact Matches (Match Keys)', Count: reportData[`noOfexactMatchesWith${compositeKeys.join('And')}`] }
             ];
@@ -376,18 +729,25 @@ class DataComparer {
                     return acc;
                 }, {}),
                 compositeKeys: compositeKeys,
-                exactMatchKeys: exactFieldMatch
+                exactMatchKeys: exactFieldMatch,
+                keys: {
+                    add: reportData.recordsToAddInDB.map(item => this.createCompositeKey(item.records[0], compositeKeys, normalizers)),
+                    delete: reportData.recordsToDeleteFromDB.map(item => this.createCompositeKey(item.records[0], compositeKeys, normalizers)),
+                    update: reportData.changesRequiredInDB.map(item => this.createCompositeKey(item.dbRecords[0], compositeKeys, normalizers)),
+                    possibleMatch: reportData.possibleMatches.map(match => `${this.createCompositeKey(match.excelRecord, compositeKeys, normalizers)} ~ ${this.createCompositeKey(match.dbRecord, compositeKeys, normalizers)}`)
+                }
             };
             await fse.outputFile(summaryJsonPath, JSON.stringify(summaryReport, null, 2));
             logger.info(`Summary JSON report generated: ${summaryJsonPath}`);
 
-            return { success: true };
+            if (applyResult) {
+                await this.generateApplyReport({ applyResult, collectionName, timestamp });
+            }
+
+            return { success: true, summary: comparisonSummary, apply: applyResult, sheets: sheets.filter(sheet => sheet.name !== 'Summary') };
         } catch (err) {
-            await dbAdapter.close();
             logger.error({ err }, `Error generating comparison report for collection ${collectionName}: ${err.message}`);
             return { success: false, error: err.message };
-        } finally {
-            await dbAdapter.close();
         }
     }
 
@@ -396,9 +756,10 @@ class DataComparer {
      * @param {Array} excelData - Array of records from Excel
      * @param {Array} dbData - Array of records from database
      * @param {Array} compositeKeys - Array of field names for composite key comparison
+     * @param {Object} possibleMatch - Similarity options, leftover adds and deletes are paired when set
      * @returns {Object} - Comparison result with detailed differences
      */
-    compareData({ uniqueRecords, dbRecords, compositeKeys = [], exactFieldMatch = [] }) {
+    compareData({ uniqueRecords, dbRecords, compositeKeys = [], exactFieldMatch = [], possibleMatch, normalizers = {}, comparators = {} }) {
         try {
             const excelMap = new Map();
             const dbMap = new Map();
@@ -406,7 +767,7 @@ class DataComparer {
             const dbDuplicate = new Map();
             //excel records
             uniqueRecords.forEach(record => {
-                const key = this.createCompositeKey(record, compositeKeys);
+                const key = this.createCompositeKey(record, compositeKeys, normalizers);
                 if (excelMap.has(key)) {
                     excelMap.get(key).push(record);
                 } else {
@@ -415,7 +776,7 @@ class DataComparer {
             });
 
             dbRecords.forEach(record => {
-                const key = this.createCompositeKey(record, compositeKeys)
+                const key = this.createCompositeKey(record, compositeKeys, normalizers)
                 if (dbMap.has(key)) {
 
                     if (!dbDuplicate.has(key)) {
@@ -435,7 +796,6 @@ class DataComparer {
                     });
                 }
             });
-            reportData.numberOfRecordsToAddInDB = reportData.recordsToAddInDB.reduce((count, item) => count + item.records.length, 0);
             reportData.recordsToDeleteFromDB = [];
             dbMap.forEach((records, key) => {
                 if (!excelMap.has(key)) {
@@ -445,6 +805,8 @@ class DataComparer {
                     });
                 }
             });
+            reportData.possibleMatches = possibleMatch ? this.findPossibleMatches(reportData, compositeKeys, exactFieldMatch, possibleMatch, normalizers, comparators) : [];
+            reportData.numberOfRecordsToAddInDB = reportData.recordsToAddInDB.reduce((count, item) => count + item.records.length, 0);
             reportData.numberOfRecordsToDeleteFromDB = reportData.recordsToDeleteFromDB.length;
             reportData.changesRequiredInDB = [];
             const exactMatchWithKeysField = `exactMatchesWith${compositeKeys.join('And')}`
@@ -454,11 +816,12 @@ class DataComparer {
                 if (dbMap.has(key)) {
                     reportData[exactMatchWithKeysField].push(key);
                     const dbRecords = dbMap.get(key);
-                    const isEqual = this.isEqual(excelRecords, dbRecords, exactFieldMatch);
+                    const isEqual = this.isEqual(excelRecords, dbRecords, exactFieldMatch, normalizers, comparators);
                     if (!isEqual) {
                         reportData.changesRequiredInDB.push({
                             excelRecords: excelRecords,
-                            dbRecords: dbRecords
+                            dbRecords: dbRecords,
+                            differences: this.getFieldDifferences(excelRecords[0], dbRecords[0], exactFieldMatch, normalizers, comparators)
                         });
                     } else {
                         reportData.exactMatches.push({
@@ -484,7 +847,44 @@ class DataComparer {
         }
     }
 
-    isEqual(excelRecords, dbRecords, exactFieldMatch = []) {
+    /**
+     * Pair records to add with records to delete that look like the same record (typo, formatting),
+     * removing the paired records from recordsToAddInDB and recordsToDeleteFromDB
+     * @param {Object} reportData - reportData being built by compareData
+     * @param {Array} compositeKeys - Array of field names for composite key comparison
+     * @param {Array} exactFieldMatch - Fields listed as differences of a pair
+     * @param {Object} possibleMatch - { fields, threshold, ignoreCase, ignorePunctuation, ignoreTokenOrder }
+     * @param {Object} normalizers - Column normalizers applied before measuring similarity
+     * @param {Object} comparators - Column comparators used to list the differences of a pair
+     * @returns {Array} - [{ excelRecord, dbRecord, score, differences }]
+     */
+    findPossibleMatches(reportData, compositeKeys, exactFieldMatch, possibleMatch, normalizers = {}, comparators = {}) {
+        const { fields = compositeKeys, ...similarityOptions } = possibleMatch;
+        const similarityHelper = new SimilarityHelper(similarityOptions);
+        const addRecords = reportData.recordsToAddInDB.map(item => item.records[0]);
+        const deleteRecords = reportData.recordsToDeleteFromDB.map(item => item.records[0]);
+        const pairs = similarityHelper.findPairs(
+            addRecords.map(record => this.normalizer.normalizeRecord(record, normalizers)),
+            deleteRecords.map(record => this.normalizer.normalizeRecord(record, normalizers)),
+            fields
+        );
+        const differenceFields = [...new Set([...fields, ...exactFieldMatch])];
+
+        const pairedAdds = new Set(pairs.map(pair => pair.leftIndex));
+        const pairedDeletes = new Set(pairs.map(pair => pair.rightIndex));
+        reportData.recordsToAddInDB = reportData.recordsToAddInDB.filter((item, index) => !pairedAdds.has(index));
+        reportData.recordsToDeleteFromDB = reportData.recordsToDeleteFromDB.filter((item, index) => !pairedDeletes.has(index));
+
+        logger.info(`Found ${pairs.length} possible matches between records to add and records to delete`);
+        return pairs.map(pair => ({
+            excelRecord: addRecords[pair.leftIndex],
+            dbRecord: deleteRecords[pair.rightIndex],
+            score: pair.score,
+            differences: this.getFieldDifferences(addRecords[pair.leftIndex], deleteRecords[pair.rightIndex], differenceFields, normalizers, comparators)
+        }));
+    }
+
+    isEqual(excelRecords, dbRecords, exactFieldMatch = [], normalizers = {}, comparators = {}) {
         if (excelRecords.length !== dbRecords.length) {
             return false;
         }
@@ -492,16 +892,443 @@ class DataComparer {
         const excelRecord = excelRecords[0];
         const dbRecord = dbRecords[0];
         for (const key of exactFieldMatch) {
-            const excelValue = typeof excelRecord[key] === 'string' ? excelRecord[key].toLowerCase() : excelRecord[key];
-            const dbValue = typeof dbRecord[key] === 'string' ? dbRecord[key].toLowerCase() : dbRecord[key];
-
-            if (excelValue !== dbValue) {
+            // Columns the mapping of the record does not read, e.g. another file's columns with compareAllFields
+            if (!(key in excelRecord)) continue;
+            if (!this.isFieldEqual(excelRecord[key], dbRecord[key], normalizers[key], comparators[key])) {
                 return false;
             }
         }
         return true;
     }
 
+    /**
+     * Compare a field after normalizing both values, with the column comparator or, without one, ignoring case
+     * and type (the database may return 2 for the Excel text "2" and dates as Date or as ISO text)
+     */
+    isFieldEqual(excelValue, dbValue, normalize, compare) {
+        excelValue = this.normalizer.normalizeValue(excelValue, normalize);
+        dbValue = this.normalizer.normalizeValue(dbValue, normalize);
+        return compare ? compare(excelValue, dbValue) : this.fieldComparator.isEqual(excelValue, dbValue);
+    }
+
+    /**
+     * List the fields whose Excel and database values differ, fields the Excel record was not read with are skipped
+     * @param {Object} excelRecord - Record from Excel
+     * @param {Object} dbRecord - Record from the database
+     * @param {Array} fields - Fields to compare
+     * @param {Object} normalizers - Column normalizers applied to both values before comparing
+     * @param {Object} comparators - Column comparators, fields without one ignore case and type
+     * @returns {Array} - [{ field, excelValue, dbValue }], values as stored, not normalized
+     */
+    getFieldDifferences(excelRecord, dbRecord, fields = [], normalizers = {}, comparators = {}) {
+        return fields
+            .filter(field => field in excelRecord && !this.isFieldEqual(excelRecord[field], dbRecord[field], normalizers[field], comparators[field]))
+            .map(field => ({ field, excelValue: excelRecord[field], dbValue: dbRecord[field] }));
+    }
+
+    /**
+     * Format field differences for the "Changed Fields" column, e.g. ScopeType: "Gastroscope" -> "Colonoscope"
+     * @param {Array} differences - Differences returned by getFieldDifferences
+     * @returns {string} - One "field: db -> excel" entry per difference
+     */
+    formatDifferences(differences = []) {
+        return differences
+            .map(({ field, excelValue, dbValue }) => `${field}: ${JSON.stringify(dbValue ?? null)} -> ${JSON.stringify(excelValue ?? null)}`)
+            .join('; ');
+    }
+
+    /**
+     * Build the database operations that bring the database in line with the Excel data
+     * @param {Object} reportData - reportData returned by compareData
+     * @param {Array} compositeKeys - Fields identifying a record in the database
+     * @param {Array} exactFieldMatch - Fields written by updates (all Excel fields when empty)
+     * @param {Object} normalizers - Column normalizers used for the operation keys and update differences
+     * @param {Object} comparators - Column comparators used for update differences
+     * @param {Array} actions - Actions to include ('ADD', 'UPDATE', 'DELETE')
+     * @returns {Array} - Operations in execution order: deletes, updates, then inserts
+     */
+    buildSyncOperations({ reportData, compositeKeys = [], exactFieldMatch = [], normalizers = {}, comparators = {}, actions = [] }) {
+        const operations = [];
+
+        if (actions.includes('DELETE')) {
+            reportData.recordsToDeleteFromDB.forEach(item => {
+                for (const record of item.records) {
+                    operations.push({
+                        action: 'DELETE',
+                        key: this.createCompositeKey(record, compositeKeys, normalizers),
+                        filter: this.getRecordFilter(record, compositeKeys),
+                        // Shown in the apply report, rollback scripts restore the whole stored record
+                        document: { ...record }
+                    });
+                }
+            });
+        }
+
+        if (actions.includes('UPDATE')) {
+            reportData.changesRequiredInDB.forEach(item => {
+                const dbRecord = item.dbRecords[0];
+                const differences = exactFieldMatch.length
+                    ? item.differences
+                    : this.getFieldDifferences(item.excelRecords[0], dbRecord, Object.keys(item.excelRecords[0]), normalizers, comparators);
+                const changes = {};
+                const previous = {};
+                for (const { field, excelValue } of differences) {
+                    changes[field] = excelValue;
+                    previous[field] = dbRecord[field];
+                }
+
+                if (Object.keys(changes).length) {
+                    operations.push({
+                        action: 'UPDATE',
+                        key: this.createCompositeKey(dbRecord, compositeKeys, normalizers),
+                        source: this.provenanceHelper.describe(item.excelRecords[0]),
+                        filter: this.getRecordFilter(dbRecord, compositeKeys),
+                        changes: changes,
+                        previous: previous
+                    });
+                }
+            });
+        }
+
+        if (actions.includes('ADD')) {
+            reportData.recordsToAddInDB.forEach(item => {
+                for (const record of item.records) {
+                    operations.push({
+                        action: 'ADD',
+                        key: this.createCompositeKey(record, compositeKeys, normalizers),
+                        source: this.provenanceHelper.describe(record),
+                        // Matches the inserted record in rollback scripts
+                        filter: this.getRecordFilter(record, compositeKeys),
+                        document: { ...record }
+                    });
+                }
+            });
+        }
+
+        return operations;
+    }
+
+    /**
+     * Possible matches are left out of the operations: adding the Excel record and deleting the database record
+     * would lose a record that was probably only renamed. They are listed so the apply result and scripts show them.
+     * @param {Object} reportData - reportData returned by compareData
+     * @param {Array} compositeKeys - Fields identifying a record in the database
+     * @param {Object} normalizers - Column normalizers used for the keys
+     * @param {Array} actions - Actions included ('ADD', 'UPDATE', 'DELETE')
+     * @returns {Array} - [{ key, dbKey, source, score }], empty when neither ADD nor DELETE is included
+     */
+    getSkippedPossibleMatches(reportData, compositeKeys, normalizers, actions) {
+        if (!actions.includes('ADD') && !actions.includes('DELETE')) {
+            return [];
+        }
+        return reportData.possibleMatches.map(match => ({
+            key: this.createCompositeKey(match.excelRecord, compositeKeys, normalizers),
+            dbKey: this.createCompositeKey(match.dbRecord, compositeKeys, normalizers),
+            source: this.provenanceHelper.describe(match.excelRecord),
+            score: match.score
+        }));
+    }
+
+    /**
+     * Write the operations as a migration script and a rollback script in the language of the database
+     * (mongosh or SQL), for DBAs to review and run instead of applying them directly
+     * @param {Object} adapter - Initialized database adapter
+     * @param {string} collectionName - Name of the collection
+     * @param {Array} operations - Operations built by buildSyncOperations
+     * @param {Array} skipped - Possible matches left out of the operations, listed in the script header
+     * @param {string} timestamp - Run timestamp used in the file names
+     * @returns {Promise<Object>} - { operationCount, skippedCount, migrationPath, rollbackPath }, no paths on dry runs
+     */
+    async generateMigrationScripts({ adapter, collectionName, operations, skipped = [], timestamp }) {
+        // The rollback inserts deleted records again from their whole stored record, not the fields fetched for the comparison
+        const scriptOperations = [];
+        for (const operation of operations) {
+            if (operation.action !== 'DELETE') {
+                scriptOperations.push(operation);
+                continue;
+            }
+            const stored = await adapter.fetchMatching(collectionName, operation.filter);
+            if (!stored.success) {
+                throw new Error(`Cannot fetch the stored record of ${operation.key} for the rollback: ${stored.error}`);
+            }
+            scriptOperations.push({ ...operation, documents: stored.data });
+        }
+        const scripts = adapter.buildScripts(collectionName, scriptOperations, skipped);
+        if (this.dryRun) {
+            logger.info(`Dry run: ${operations.length} operations of collection ${collectionName} not written to scripts`);
+            return { operationCount: operations.length, skippedCount: skipped.length };
+        }
+
+        const scriptsFolder = path.join(this.reportsDirectory, 'Migrations', collectionName);
+        const baseName = `${collectionName.replace(/\./g, '_')}_${timestamp}.${scripts.extension}`;
+        const migrationPath = path.join(scriptsFolder, `Migration_${baseName}`);
+        const rollbackPath = path.join(scriptsFolder, `Rollback_${baseName}`);
+        await fse.outputFile(migrationPath, scripts.migration);
+        await fse.outputFile(rollbackPath, scripts.rollback);
+        logger.info(`Migration scripts generated: ${migrationPath}, ${rollbackPath}`);
+        return { operationCount: operations.length, skippedCount: skipped.length, migrationPath, rollbackPath };
+    }
+
+    /**
+     * Filter matching a single database record: its _id when the record has one, its key fields otherwise
+     */
+    getRecordFilter(dbRecord, compositeKeys) {
+        if (dbRecord._id !== undefined) {
+            return { _id: dbRecord._id };
+        }
+
+        return compositeKeys.reduce((filter, key) => {
+            filter[key] = dbRecord[key] === undefined ? null : dbRecord[key];
+            return filter;
+        }, {});
+    }
+
+    /**
+     * Write the HTML report of a collection when enabled, next to the comparison workbook
+     * @param {string} collectionName - Name of the collection
+     * @param {Object} summary - Run summary built by generateReport
+     * @param {Array} sections - Report sheets [{ name, data, highlights }]
+     * @param {string} timestamp - Run timestamp used in the file name
+     */
+    async generateHtmlReport({ collectionName, summary, sections, timestamp }) {
+        if (!this.htmlReport || this.dryRun) {
+            return;
+        }
+
+        const metrics = [
+            { Metric: 'Extracted Records', Count: summary.extractedCount },
+            { Metric: 'Filtered Rows', Count: summary.filteredCount },
+            { Metric: 'Unique Records', Count: summary.uniqueCount },
+            { Metric: 'Duplicate Records', Count: summary.duplicateCount },
+            { Metric: 'Source Conflicts', Count: summary.conflictCount },
+            { Metric: 'Validation Errors', Count: summary.validationErrorCount }
+        ];
+        if (summary.comparison) {
+            const { comparison } = summary;
+            metrics.push(
+                { Metric: 'Database Records', Count: comparison.dbCount },
+                { Metric: 'Duplicate Data in Database', Count: comparison.dbDuplicateCount },
+                { Metric: 'Records to Add', Count: comparison.addCount },
+                { Metric: 'Records to Delete', Count: comparison.deleteCount },
+                { Metric: 'Records to Update', Count: comparison.updateCount },
+                { Metric: 'Possible Matches', Count: comparison.possibleMatchCount },
+                { Metric: 'Exact Matches', Count: comparison.exactMatchCount }
+            );
+        }
+
+        const htmlFilePath = path.join(this.reportsDirectory, 'Comparison', collectionName, `Report_${collectionName.replace(/\./g, '_')}_${timestamp}.html`);
+        await this.htmlReportHelper.writeReport({ title: `Data comparison report: ${collectionName}`, metrics, sections }, htmlFilePath);
+    }
+
+    /**
+     * Export the database records of a collection in the layout of one of its mappings, into a new workbook under
+     * Exports or, with workbookPath, into a copy of that workbook written to Exports and updated there.
+     * Rows of the copy are paired with the records by dataCompareKey, normalized and aliased like the comparison.
+     * @param {Object} collectionConfig - Collection configuration
+     * @param {string} dataSheetsDirectory - Directory containing the alias table files
+     * @param {Object} options - { mappingFilename, workbookPath }, mappingFilename picks the mapping (default the first)
+     * @returns {Promise<Object>} - { success, collectionName, summary: { exportedCount, ... }, filePath }
+     */
+    async exportCollection(collectionConfig, dataSheetsDirectory, { mappingFilename, workbookPath } = {}) {
+        const { collectionName, mapping, dataCompareKey, excelCompositeUniqueKeys, dbQuery } = collectionConfig;
+        const fileMapping = mappingFilename ? mapping.find(item => item.filename === mappingFilename) : mapping[0];
+        if (!fileMapping) {
+            return { success: false, collectionName, error: `No mapping of ${collectionName} reads "${mappingFilename}"` };
+        }
+
+        try {
+            const aliasResult = await this.loadAliasTables(dataSheetsDirectory);
+            if (!aliasResult.success) {
+                return { success: false, collectionName, error: aliasResult.error };
+            }
+            const columnAliases = this.aliasHelper.buildColumnAliases(mapping, aliasResult.tables);
+            const normalizers = this.aliasHelper.withAliases(this.normalizer.buildColumnNormalizers(mapping), columnAliases);
+
+            const connection = await this.connectDatabase();
+            if (!connection.success) {
+                return { success: false, collectionName, error: connection.error };
+            }
+            const dbResult = await connection.adapter.fetchRecords(collectionName, dbQuery, this.queryParams);
+            if (!dbResult.success) {
+                return { success: false, collectionName, error: dbResult.error };
+            }
+
+            const records = dbResult.data;
+            const summary = { exportedCount: records.length };
+            if (this.dryRun) {
+                logger.info(`Dry run: ${records.length} records of ${collectionName} not exported`);
+                return { success: true, collectionName, summary };
+            }
+
+            const exportFolder = path.join(this.reportsDirectory, 'Exports', collectionName);
+            const exportSuffix = `${collectionName.replace(/\./g, '_')}_${this.createTimestamp()}`;
+            if (workbookPath) {
+                const keys = dataCompareKey && dataCompareKey.length ? dataCompareKey : excelCompositeUniqueKeys;
+                const copyPath = await this.workbookExporter.copyWorkbook(path.resolve(workbookPath), exportFolder, exportSuffix);
+                const result = await this.workbookExporter.updateWorkbook({
+                    records,
+                    fileMapping,
+                    workbookPath: copyPath,
+                    keyOf: record => this.createCompositeKey(record, keys, normalizers)
+                });
+                if (!result.success) {
+                    return { success: false, collectionName, error: result.error };
+                }
+                const { updatedRowCount, changedCellCount, appendedCount, notInDbCount } = result;
+                return { success: true, collectionName, filePath: result.filePath, summary: { ...summary, updatedRowCount, changedCellCount, appendedCount, notInDbCount } };
+            }
+
+            const exportFilePath = path.join(exportFolder, `Export_${exportSuffix}.xlsx`);
+            const headerIndex = await this.workbookExporter.detectHeaderRow(fileMapping, dataSheetsDirectory);
+            const result = await this.workbookExporter.writeWorkbook({ records, fileMapping, filePath: exportFilePath, defaultSheetName: collectionName, headerIndex });
+            if (!result.success) {
+                return { success: false, collectionName, error: result.error };
+            }
+            logger.info(`Exported ${records.length} records of ${collectionName} to ${exportFilePath}`);
+            return { success: true, collectionName, filePath: exportFilePath, summary };
+        } catch (err) {
+            logger.error({ err }, `Error exporting collection ${collectionName}: ${err.message}`);
+            return { success: false, collectionName, error: err.message };
+        }
+    }
+
+    /**
+     * Read the source files of several collections in one pass, so a workbook shared by collections
+     * (e.g. the master workbook) is streamed once. Only the extracted records are kept in memory.
+     * @param {Array} collections - Collection configurations
+     * @param {string} dataSheetsDirectory - Directory containing the source files
+     * @returns {Promise<Map>} - collectionName -> read results in mapping order, to pass to generateReport
+     */
+    async readCollections(collections, dataSheetsDirectory) {
+        const timer = new PhaseTimer('All collections');
+        const sources = collections.flatMap(collection => {
+            const rowFilters = this.rowFilter.getCollectionFilters(collection);
+            return collection.mapping.map(fileMapping => ({ fileMapping, rowFilters }));
+        });
+        const results = await timer.time('read', () => this.excelHelper.readFiles({ sources, dataSheetsDirectory }));
+
+        const resultsByCollection = new Map();
+        let offset = 0;
+        for (const { collectionName, mapping } of collections) {
+            resultsByCollection.set(collectionName, results.slice(offset, offset + mapping.length));
+            offset += mapping.length;
+        }
+        return resultsByCollection;
+    }
+
+    /**
+     * Log the phase timings of a collection and keep them in its summary
+     */
+    logTimings(timer, summary) {
+        summary.timings = timer.getTimings();
+        logger.info(`Timings for ${timer.label}: ${timer.format()}`);
+    }
+
+    /**
+     * Load the alias tables once per run, collections processed concurrently wait for the same load
+     * @param {string} dataSheetsDirectory - Directory containing the alias workbooks
+     * @returns {Promise<Object>} - Result of AliasHelper.loadTables
+     */
+    loadAliasTables(dataSheetsDirectory) {
+        if (!this.loadedAliasTables) {
+            this.loadedAliasTables = this.aliasHelper.loadTables(this.aliasTables, dataSheetsDirectory);
+        }
+        return this.loadedAliasTables;
+    }
+
+    /**
+     * Write the values that matched no alias table entry
+     * @param {string} collectionName - Name of the collection
+     * @param {Map} unmatchedAliases - Unmatched values collected while reading Excel and database records
+     * @param {Object} summary - Run summary, unmatchedAliasCount is added to it
+     * @param {string} timestamp - Run timestamp used in the file name
+     * @returns {Promise<Array>} - Report sheets for the HTML report
+     */
+    async generateAliasReport({ collectionName, unmatchedAliases, summary, timestamp }) {
+        const rows = Array.from(unmatchedAliases.values());
+        summary.unmatchedAliasCount = rows.length;
+        if (!rows.length) {
+            return [];
+        }
+
+        logger.info(`${rows.length} values matched no alias for collection ${collectionName}`);
+        if (!this.dryRun) {
+            const aliasFilePath = path.join(this.reportsDirectory, 'Aliases', collectionName, `UnmatchedAliases_${collectionName.replace(/\./g, '_')}_${timestamp}.xlsx`);
+            await this.excelHelper.writeExcel(rows, aliasFilePath, 'Unmatched Aliases', this.getColumns(rows[0]));
+        }
+        return [{ name: 'Unmatched Aliases', data: rows }];
+    }
+
+    /**
+     * Write the rows breaking the validate rules of columnConfig, one row per broken rule
+     * @param {string} collectionName - Name of the collection
+     * @param {Array} validationErrors - [{ record, column, rule, value, message }] collected while reading the files
+     * @param {string} timestamp - Run timestamp used in the file name
+     * @returns {Promise<Array>} - Report sheets for the HTML report
+     */
+    async generateValidationReport({ collectionName, validationErrors, timestamp }) {
+        if (!validationErrors.length) {
+            return [];
+        }
+
+        logger.info(`${validationErrors.length} validation errors for collection ${collectionName}`);
+        const validationFolder = path.join(this.reportsDirectory, 'Validation', collectionName);
+        const rows = validationErrors.map(error => ({
+            ...this.provenanceHelper.toColumns(error.record, validationFolder),
+            Column: error.column,
+            Rule: error.rule,
+            Value: error.value instanceof Date ? error.value.toISOString() : error.value,
+            Message: error.message
+        }));
+        if (!this.dryRun) {
+            const validationFilePath = path.join(validationFolder, `ValidationErrors_${collectionName.replace(/\./g, '_')}_${timestamp}.xlsx`);
+            await this.excelHelper.writeExcel(rows, validationFilePath, 'Validation Errors', this.getColumns(rows[0]));
+        }
+        return [{ name: 'Validation Errors', data: rows }];
+    }
+
+    /**
+     * Write the result of applying operations to the database
+     * @param {Object} applyResult - Result returned by the adapter's applyOperations
+     * @param {string} collectionName - Name of the collection
+     * @param {string} timestamp - Timestamp shared with the comparison report
+     */
+    async generateApplyReport({ applyResult, collectionName, timestamp }) {
+        const applyFolder = path.join(this.reportsDirectory, 'Apply', collectionName);
+        const baseName = `Apply_${collectionName.replace(/\./g, '_')}_${timestamp}`;
+        const rows = applyResult.operations.map(operation => ({
+            Action: operation.action,
+            Key: operation.key,
+            Status: operation.status,
+            Filter: operation.filter ? JSON.stringify(operation.filter) : '',
+            Changes: JSON.stringify(operation.changes || operation.document || {}),
+            Error: operation.error || ''
+        }));
+        (applyResult.skipped || []).forEach(match => rows.push({
+            Action: 'POSSIBLE MATCH',
+            Key: `${match.key} ~ ${match.dbKey}`,
+            Status: 'skipped',
+            Filter: '',
+            Changes: '',
+            Error: 'Neither added nor deleted, review it in the comparison report'
+        }));
+
+        await this.excelHelper.writeExcel(rows, path.join(applyFolder, `${baseName}.xlsx`), 'Applied Operations', this.getColumns(rows[0]));
+        await fse.outputFile(path.join(applyFolder, `${baseName}.json`), JSON.stringify({
+            collectionName: collectionName,
+            timestamp: new Date().toISOString(),
+            success: applyResult.success,
+            transaction: applyResult.transaction,
+            insertedCount: applyResult.insertedCount,
+            updatedCount: applyResult.updatedCount,
+            deletedCount: applyResult.deletedCount,
+            error: applyResult.error,
+            operations: applyResult.operations,
+            skipped: applyResult.skipped || []
+        }, null, 2));
+        logger.info(`Apply report generated: ${path.join(applyFolder, baseName)}`);
+    }
+
 
     /**
      * Generate columns for comparison Excel reports
@@ -1,30 +1,338 @@
-import DataComparer from './dataComparer.js'; 
-import logger from './utils/logger.js'; 
-import config from './config.js';
+import DataComparer from './dataComparer.js';
+import logger from './utils/logger.js';
+import CliHelper from './utils/cliHelper.js';
+import ConfigLoader from './utils/configLoader.js';
+import ConfigValidator from './utils/configValidator.js';
+import HistoryHelper from './utils/historyHelper.js';
+import { getWriteBackProblem } from './DB/queryHelper.js';
+
+const cliHelper = new CliHelper();
+const configValidator = new ConfigValidator();
+const APPLY_ACTIONS = ['add', 'update', 'delete'];
+// Comparers of the run, their database connection is closed before the process exits
+const openComparers = new Set();
+
+/**
+ * Pick the collections named with --collection, all collections when none are named
+ * @param {Object} config - Loaded configuration
+ * @param {Array} collectionNames - Names given on the command line
+ * @returns {Array|null} - Collection configs, null when a name is unknown
+ */
+const selectCollections = (config, collectionNames = []) => {
+  const unknownCollections = collectionNames.filter(name => !config.collectionConfig.some(collection => collection.collectionName === name));
+
+  if (unknownCollections.length) {
+    const available = config.collectionConfig.map(collection => collection.collectionName).join(', ');
+    console.error(`Unknown collection(s): ${unknownCollections.join(', ')}. Available: ${available}`);
+    return null;
+  }
+
+  return collectionNames.length
+    ? config.collectionConfig.filter(collection => collectionNames.includes(collection.collectionName))
+    : config.collectionConfig;
+};
+
+/**
+ * Read --concurrency, falling back to the config concurrency
+ * @param {Object} config - Loaded configuration
+ * @param {Object} options - Parsed command line options
+ * @returns {number|null} - Collections processed at the same time, null when the value is invalid
+ */
+const parseConcurrency = (config, options) => {
+  const concurrency = options.concurrency === undefined ? config.concurrency || 1 : Number(options.concurrency);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    console.error(`Invalid --concurrency: ${options.concurrency}`);
+    return null;
+  }
+  return concurrency;
+};
+
+/**
+ * Run a task for every item, at most concurrency tasks at a time
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Tasks running at the same time
+ * @param {Function} task - async item => result
+ * @returns {Promise<Array>} - Results in the order of items
+ */
+const mapConcurrently = async (items, concurrency, task) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return results;
+};
+
+/**
+ * Create a DataComparer whose database connection is closed when the process exits
+ */
+const createDataComparer = (options) => {
+  const dataComparer = new DataComparer(options);
+  openComparers.add(dataComparer);
+  return dataComparer;
+};
+
+/**
+ * Close the database connections of the run, then exit
+ * @param {number} exitCode - Process exit code
+ */
+const exit = async (exitCode) => {
+  for (const dataComparer of openComparers) {
+    await dataComparer.close();
+  }
+  openComparers.clear();
+  process.exit(exitCode);
+};
+
+/**
+ * Run the extraction and comparison for the selected collections
+ * @param {Object} config - Loaded configuration
+ * @param {Object} options - Parsed command line options
+ * @returns {Promise<number>} - Process exit code
+ */
+const runCompare = async (config, options) => {
+  const collections = selectCollections(config, options.collection);
+  if (!collections) {
+    return 2;
+  }
+
+  // Used by --apply and by the scripts of --script
+  let actions = [];
+  if (options.apply || options.script) {
+    actions = (options.applyActions || 'add,update').split(',').map(action => action.trim().toLowerCase()).filter(Boolean);
+    const invalidActions = actions.filter(action => !APPLY_ACTIONS.includes(action));
+    if (invalidActions.length || !actions.length) {
+      console.error(`Invalid --apply-actions: ${options.applyActions}. Allowed: ${APPLY_ACTIONS.join(', ')}`);
+      return 2;
+    }
+    if (options.noDb) {
+      console.error(`--${options.apply ? 'apply' : 'script'} cannot be combined with --no-db`);
+      return 2;
+    }
+    // Records that do not match the stored ones would be written to the wrong rows or with foreign fields
+    const problems = collections
+      .map(({ collectionName, dbQuery }) => ({ collectionName, problem: getWriteBackProblem(dbQuery) }))
+      .filter(({ problem }) => problem);
+    if (problems.length) {
+      const flag = options.apply ? '--apply' : '--script';
+      problems.forEach(({ collectionName, problem }) => console.error(`${flag} cannot write back ${collectionName}: ${problem}`));
+      console.error('Select the collections to write back with --collection');
+      return 2;
+    }
+  } else if (options.applyActions) {
+    console.error('--apply-actions requires --apply or --script');
+    return 2;
+  }
+
+  const { queryParams, error: paramError } = cliHelper.parseQueryParams(options.param, collections);
+  if (paramError) {
+    console.error(paramError);
+    return 2;
+  }
+  const concurrency = parseConcurrency(config, options);
+  if (!concurrency) {
+    return 2;
+  }
+
+  logger.info('Starting Excel data extraction and comparison process...');
+  const dataComparer = createDataComparer({
+    dbConfig: config.dbConfig,
+    reportsDirectory: options.outDir,
+    dryRun: options.dryRun,
+    skipDb: options.noDb,
+    applyActions: options.apply ? actions : [],
+    scriptActions: options.script ? actions : [],
+    htmlReport: options.html,
+    aliasTables: config.aliasTables,
+    queryParams
+  });
+  const dataSheetsDirectory = options.dataDir || config.dataSheetsDirectory || 'DataSheets';
+  // Workbooks shared by several collections are streamed once
+  const readResults = await dataComparer.readCollections(collections, dataSheetsDirectory);
+
+  // A failed collection does not stop the others
+  const results = await mapConcurrently(collections, concurrency, async (collectionConfig) => {
+    const { collectionName } = collectionConfig;
+    logger.info(`Processing collection: ${collectionName}`);
+    const result = await dataComparer.generateReport(collectionConfig, dataSheetsDirectory, readResults.get(collectionName));
+
+    if (!result.success) {
+      logger.error({ error: result.error }, `Failed to process collection ${collectionName}: ${result.error}`);
+    } else {
+      logger.info(`Successfully processed collection ${collectionName}. Report generated.`);
+    }
+    return result;
+  });
+
+  if (options.apply && options.dryRun) {
+    results.filter(result => result.apply).forEach(result => {
+      console.log(`\nPlanned operations for ${result.collectionName} (${result.apply.operations.length}):`);
+      result.apply.operations.forEach(operation => console.log(`  ${cliHelper.formatOperation(result.collectionName, operation)}`));
+      result.apply.skipped.forEach(match => console.log(`  SKIP   ${result.collectionName} possible match ${match.key} ~ ${match.dbKey}`));
+    });
+  }
+
+  console.log(`\nSummary${options.dryRun ? ' (dry run, no reports written)' : ''}:`);
+  results.forEach(result => console.log(`  ${cliHelper.formatSummary(result)}`));
+
+  logger.info('Excel data extraction and comparison process completed.');
+  return results.some(result => !result.success) ? 1 : 0;
+};
+
+/**
+ * Validate the config and list every problem found
+ * @param {Object} config - Loaded configuration
+ * @returns {Promise<number>} - Process exit code
+ */
+const runValidateConfig = async (config) => {
+  const { valid, errors } = configValidator.validate(config);
+  if (!valid) {
+    console.error(`Config has ${errors.length} problem(s):\n${configValidator.formatErrors(errors)}`);
+    return 1;
+  }
+
+  console.log('Config is valid');
+  return 0;
+};
+
+/**
+ * Show how the report counts changed over past runs, or which keys changed between two runs
+ * @param {Object} config - Loaded configuration
+ * @param {Object} options - Parsed command line options
+ * @returns {Promise<number>} - Process exit code
+ */
+const runHistory = async (config, options) => {
+  const collections = selectCollections(config, options.collection);
+  if (!collections) {
+    return 2;
+  }
+
+  const limit = options.limit === undefined ? undefined : Number(options.limit);
+  if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+    console.error(`Invalid --limit: ${options.limit}`);
+    return 2;
+  }
+
+  const historyHelper = new HistoryHelper(options.outDir);
+  const showDiff = options.diff || options.from || options.to;
+  let exitCode = 0;
+
+  for (const { collectionName } of collections) {
+    const runs = await historyHelper.loadRuns(collectionName);
+
+    if (!showDiff) {
+      console.log(`\n${historyHelper.formatTrend(collectionName, limit ? runs.slice(-limit) : runs)}`);
+      continue;
+    }
+
+    try {
+      const toRun = options.to ? historyHelper.findRun(runs, options.to) : runs[runs.length - 1];
+      const fromRun = options.from ? historyHelper.findRun(runs, options.from) : runs[runs.indexOf(toRun) - 1];
+      if (!toRun || !fromRun) {
+        console.log(`\n${collectionName}: at least two runs are needed for a diff`);
+        continue;
+      }
+      console.log(`\n${historyHelper.formatDiff(collectionName, fromRun, toRun, historyHelper.diffRuns(fromRun, toRun))}`);
+    } catch (err) {
+      console.error(`\n${collectionName}: ${err.message}`);
+      exitCode = 1;
+    }
+  }
+
+  return exitCode;
+};
+
+/**
+ * Write the database records of the selected collections in the layout of their mapping
+ * @param {Object} config - Loaded configuration
+ * @param {Object} options - Parsed command line options
+ * @returns {Promise<number>} - Process exit code
+ */
+const runExport = async (config, options) => {
+  const collections = selectCollections(config, options.collection);
+  if (!collections) {
+    return 2;
+  }
+
+  const { queryParams, error: paramError } = cliHelper.parseQueryParams(options.param, collections);
+  if (paramError) {
+    console.error(paramError);
+    return 2;
+  }
+  const concurrency = parseConcurrency(config, options);
+  if (!concurrency) {
+    return 2;
+  }
+
+  const dataComparer = createDataComparer({
+    dbConfig: config.dbConfig,
+    reportsDirectory: options.outDir,
+    dryRun: options.dryRun,
+    aliasTables: config.aliasTables,
+    queryParams
+  });
+  const dataSheetsDirectory = options.dataDir || config.dataSheetsDirectory || 'DataSheets';
+
+  const results = await mapConcurrently(collections, concurrency, async (collectionConfig) => {
+    const result = await dataComparer.exportCollection(collectionConfig, dataSheetsDirectory, {
+      mappingFilename: options.mapping,
+      workbookPath: options.workbook
+    });
+    if (!result.success) {
+      logger.error({ error: result.error }, `Failed to export collection ${result.collectionName}: ${result.error}`);
+    }
+    return result;
+  });
+
+  console.log(`\nExport${options.dryRun ? ' (dry run, nothing written)' : ''}:`);
+  results.forEach(result => console.log(`  ${cliHelper.formatExportSummary(result)}`));
+  return results.some(result => !result.success) ? 1 : 0;
+};
+
+const commands = {
+  compare: runCompare,
+  export: runExport,
+  history: runHistory,
+  'validate-config': runValidateConfig
+};
 
 const main = async () => {
+  const { command, options, errors } = cliHelper.parse(process.argv.slice(2));
+  // An interrupted run still closes its database connection
+  process.once('SIGINT', () => exit(130));
+  process.once('SIGTERM', () => exit(143));
+
+  if (options.help) {
+    console.log(cliHelper.getUsage());
+    process.exit(0);
+  }
+
+  if (errors.length) {
+    console.error(errors.join('\n'));
+    console.error(`\n${cliHelper.getUsage()}`);
+    process.exit(2);
+  }
+
   try {
-    logger.info('Starting Excel data extraction and comparison process...');
-    const dataComparer = new DataComparer();
-    const dataSheetsDirectory = config.dataSheetsDirectory || 'DataSheets';
-
-    for (const collectionConfig of config.collectionConfig) {
-      const { collectionName } = collectionConfig;
-      logger.info(`Processing collection: ${collectionName}`);
-      const result = await dataComparer.generateReport(collectionConfig, dataSheetsDirectory);
-      
-      if (!result.success) {
-        logger.error({ error: result.error }, `Failed to process collection ${collectionName}: ${result.error}`);
-        continue; // Skip this collection and continue with the next one
-      }
+    const config = await new ConfigLoader().load(options.config);
 
-      logger.info(`Successfully processed collection ${collectionName}. Report generated.`);
+    if (command !== 'validate-config') {
+      const { valid, errors } = configValidator.validate(config);
+      if (!valid) {
+        console.error(`Config has ${errors.length} problem(s), run "validate-config" after fixing them:\n${configValidator.formatErrors(errors)}`);
+        process.exit(2);
+      }
     }
-    
-    logger.info('Excel data extraction and comparison process completed successfully.');
-    process.exit(0); // Exit the process after completion
+
+    const exitCode = await commands[command](config, options);
+    await exit(exitCode); // Exit the process after completion
   } catch (err) {
     logger.error({ err }, `An error occurred while processing the Excel files: ${err.message}`);
+    await exit(1);
   }
 };
 
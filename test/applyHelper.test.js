@@ -0,0 +1,47 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { runOperations, buildApplyResult } from '../DB/applyHelper.js';
+
+describe('applyHelper', () => {
+    const operations = [
+        { action: 'DELETE', key: 'old-1', filter: { ScopeModel: 'OLD-1' } },
+        { action: 'UPDATE', key: 'ec-1', filter: { _id: 3 }, changes: { ScopeType: 'Gastroscope' } },
+        { action: 'ADD', key: 'new-1', document: { ScopeModel: 'NEW-1' } }
+    ];
+
+    test('counts the records written, not the operations', async () => {
+        const rowCounts = { DELETE: 2, UPDATE: 0, ADD: 1 };
+        const results = await runOperations(operations, async operation => rowCounts[operation.action]);
+
+        assert.deepEqual(results.map(result => [result.status, result.rowCount]), [['applied', 2], ['not matched', 0], ['applied', 1]]);
+        const applyResult = buildApplyResult(operations, results, { transaction: true });
+        assert.equal(applyResult.success, true);
+        assert.deepEqual([applyResult.insertedCount, applyResult.updatedCount, applyResult.deletedCount], [1, 0, 2]);
+    });
+
+    test('marks applied operations rolled back and later ones skipped when a transaction fails', async () => {
+        let error;
+        try {
+            await runOperations(operations, async operation => {
+                if (operation.action === 'UPDATE') throw new Error('constraint failed');
+                return 1;
+            });
+        } catch (err) {
+            error = err;
+        }
+
+        const applyResult = buildApplyResult(operations, error.results, { transaction: true, error });
+        assert.equal(applyResult.success, false);
+        assert.equal(applyResult.error, 'constraint failed');
+        assert.deepEqual(applyResult.operations.map(operation => operation.status), ['rolled back', 'failed', 'skipped']);
+        assert.deepEqual([applyResult.insertedCount, applyResult.updatedCount, applyResult.deletedCount], [0, 0, 0]);
+    });
+
+    test('keeps the operations applied before a failure without transaction', () => {
+        const results = [{ ...operations[0], status: 'applied', rowCount: 1 }, { ...operations[1], status: 'failed', error: 'lost connection' }];
+
+        const applyResult = buildApplyResult(operations, results, { error: new Error('lost connection') });
+        assert.deepEqual(applyResult.operations.map(operation => operation.status), ['applied', 'failed', 'skipped']);
+        assert.equal(applyResult.deletedCount, 1);
+    });
+});
@@ -0,0 +1,39 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import CliHelper from '../utils/cliHelper.js';
+
+describe('CliHelper.parseQueryParams', () => {
+  const cliHelper = new CliHelper();
+  const scope = { collectionName: 'hulu.scope', dbQuery: { fields: ['ScopeModel'] } };
+  const hookup = { collectionName: 'hulu.hookup', dbQuery: { params: { machineFamilyId: 2 } } };
+
+  test('reads the values of declared params', () => {
+    assert.deepEqual(cliHelper.parseQueryParams(['machineFamilyId=3'], [scope, hookup]), { queryParams: { machineFamilyId: '3' } });
+  });
+
+  test('keeps "=" in values', () => {
+    assert.deepEqual(cliHelper.parseQueryParams(['machineFamilyId=a=b'], [hookup]), { queryParams: { machineFamilyId: 'a=b' } });
+  });
+
+  test('returns no params without --param', () => {
+    assert.deepEqual(cliHelper.parseQueryParams(undefined, [scope]), { queryParams: {} });
+  });
+
+  test('rejects values without name=value', () => {
+    assert.deepEqual(cliHelper.parseQueryParams(['machineFamilyId'], [hookup]), {
+      queryParams: null,
+      error: 'Invalid --param: machineFamilyId. Expected name=value'
+    });
+  });
+
+  test('rejects names no selected collection declares', () => {
+    assert.deepEqual(cliHelper.parseQueryParams(['machineFamilyID=3'], [scope, hookup]), {
+      queryParams: null,
+      error: 'Unknown --param: machineFamilyID. Declared by the selected collections: machineFamilyId'
+    });
+    assert.deepEqual(cliHelper.parseQueryParams(['machineFamilyId=3'], [scope]), {
+      queryParams: null,
+      error: 'Unknown --param: machineFamilyId. The selected collections declare no dbQuery params'
+    });
+  });
+});
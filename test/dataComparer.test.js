@@ -0,0 +1,164 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import DataComparer from '../dataComparer.js';
+
+const createComparer = (options = {}, dbRecords = []) => {
+    const comparer = new DataComparer({ reportsDirectory: 'Reports', dryRun: true, ...options });
+    const adapter = {
+        fetchRecords: async () => ({ success: true, data: dbRecords }),
+        applyOperations: async () => {
+            throw new Error('Dry runs do not apply');
+        }
+    };
+    comparer.connectDatabase = async () => ({ success: true, adapter });
+    return comparer;
+};
+
+describe('DataComparer.buildSyncOperations', () => {
+    const comparer = new DataComparer();
+    const reportData = {
+        recordsToDeleteFromDB: [
+            { records: [{ _id: 7, ScopeModel: 'OLD-1', ScopeType: 'Colonoscope' }], action: 'DELETE' },
+            { records: [{ ScopeModel: 'OLD-2', ScopeType: null }], action: 'DELETE' }
+        ],
+        changesRequiredInDB: [
+            {
+                excelRecords: [{ ScopeModel: 'EC-1', ScopeType: 'Gastroscope', ScopePerBasin: 2 }],
+                dbRecords: [{ _id: 3, ScopeModel: 'EC-1', ScopeType: 'Colonoscope', ScopePerBasin: 2 }],
+                differences: [{ field: 'ScopeType', excelValue: 'Gastroscope', dbValue: 'Colonoscope' }]
+            }
+        ],
+        recordsToAddInDB: [
+            { records: [{ ScopeModel: 'NEW-1', ScopeType: 'Colonoscope' }], action: 'ADD' }
+        ]
+    };
+
+    test('orders deletes, updates and inserts, filtering database records on their id', () => {
+        const operations = comparer.buildSyncOperations({
+            reportData,
+            compositeKeys: ['ScopeModel'],
+            exactFieldMatch: ['ScopeType'],
+            actions: ['ADD', 'UPDATE', 'DELETE']
+        });
+
+        assert.deepEqual(operations.map(operation => [operation.action, operation.key]), [
+            ['DELETE', 'old-1'],
+            ['DELETE', 'old-2'],
+            ['UPDATE', 'ec-1'],
+            ['ADD', 'new-1']
+        ]);
+        assert.deepEqual(operations[0].filter, { _id: 7 });
+        // Records without id are matched on their key fields
+        assert.deepEqual(operations[1].filter, { ScopeModel: 'OLD-2' });
+        assert.deepEqual(operations[1].document, { ScopeModel: 'OLD-2', ScopeType: null });
+        assert.deepEqual(operations[2].filter, { _id: 3 });
+        assert.deepEqual(operations[2].changes, { ScopeType: 'Gastroscope' });
+        assert.deepEqual(operations[2].previous, { ScopeType: 'Colonoscope' });
+        assert.deepEqual(operations[3].filter, { ScopeModel: 'NEW-1' });
+        assert.deepEqual(operations[3].document, { ScopeModel: 'NEW-1', ScopeType: 'Colonoscope' });
+    });
+
+    test('only builds the requested actions', () => {
+        const operations = comparer.buildSyncOperations({ reportData, compositeKeys: ['ScopeModel'], exactFieldMatch: ['ScopeType'], actions: ['UPDATE'] });
+
+        assert.deepEqual(operations.map(operation => operation.action), ['UPDATE']);
+    });
+
+    test('compares every Excel field for updates without exactFieldMatch', () => {
+        const [operation] = comparer.buildSyncOperations({
+            reportData: {
+                ...reportData,
+                changesRequiredInDB: [{
+                    excelRecords: [{ ScopeModel: 'EC-1', ScopeType: 'colonoscope', ScopePerBasin: '3' }],
+                    dbRecords: [{ _id: 3, ScopeModel: 'EC-1', ScopeType: 'Colonoscope', ScopePerBasin: 2, Notes: 'kept' }],
+                    differences: []
+                }]
+            },
+            compositeKeys: ['ScopeModel'],
+            actions: ['UPDATE']
+        });
+
+        assert.deepEqual(operation.changes, { ScopePerBasin: '3' });
+        assert.deepEqual(operation.previous, { ScopePerBasin: 2 });
+    });
+});
+
+describe('DataComparer.generateComparisonReport write-back', () => {
+    const uniqueRecords = [{ ScopeModel: 'EC-1', ScopeType: 'Colonoscope' }];
+    const options = { uniqueRecords, collectionName: 'hulu.scope', compositeKeys: ['ScopeModel'], exactFieldMatch: ['ScopeType'] };
+
+    test('refuses to write records without id that share their key', async () => {
+        const comparer = createComparer({ applyActions: ['update'] }, [
+            { ScopeModel: 'EC-1', ScopeType: 'Gastroscope' },
+            { ScopeModel: 'EC-1', ScopeType: 'Duodenoscope' }
+        ]);
+
+        const result = await comparer.generateComparisonReport(options);
+
+        assert.equal(result.success, false);
+        assert.match(result.error, /1 database records without id share their key/);
+    });
+
+    test('plans one update per record when duplicates have an id', async () => {
+        const comparer = createComparer({ applyActions: ['update'] }, [
+            { _id: 1, ScopeModel: 'EC-1', ScopeType: 'Gastroscope' },
+            { _id: 2, ScopeModel: 'EC-1', ScopeType: 'Duodenoscope' }
+        ]);
+
+        const result = await comparer.generateComparisonReport(options);
+
+        assert.equal(result.success, true);
+        assert.equal(result.summary.dbDuplicateCount, 1);
+        assert.deepEqual(result.apply.operations.map(operation => operation.filter), [{ _id: 1 }]);
+    });
+
+    test('passes the error of a failed fetch on', async () => {
+        const comparer = createComparer();
+        comparer.connectDatabase = async () => ({
+            success: true,
+            adapter: { fetchRecords: async () => ({ success: false, error: 'no such table: hulu.scope', data: [] }) }
+        });
+
+        const result = await comparer.generateComparisonReport(options);
+
+        assert.deepEqual(result, { success: false, error: 'no such table: hulu.scope' });
+    });
+
+    test('compares records without id that share their key when nothing is written', async () => {
+        const comparer = createComparer({}, [
+            { ScopeModel: 'EC-1', ScopeType: 'Gastroscope' },
+            { ScopeModel: 'EC-1', ScopeType: 'Duodenoscope' }
+        ]);
+
+        const result = await comparer.generateComparisonReport(options);
+
+        assert.equal(result.success, true);
+        assert.equal(result.summary.updateCount, 1);
+    });
+});
+
+describe('DataComparer field comparison', () => {
+    const comparer = new DataComparer();
+    const comparators = comparer.fieldComparator.buildColumnComparators([
+        { filename: 'Master.xlsx', columnConfig: [{ columnName: 'ScopeModel' }, { columnName: 'ScopeFamily' }, { columnName: 'ScopePerBasin', dataType: 'number' }] },
+        { filename: 'ENSPIRE.xlsx', columnConfig: [{ columnName: 'ScopeModel' }] }
+    ]);
+    const fields = ['ScopeModel', 'ScopeFamily', 'ScopePerBasin'];
+    const dbRecord = { _id: 1, ScopeModel: 'EC-1', ScopeFamily: '1-537-598', ScopePerBasin: 2 };
+
+    test('skips fields the mapping of the Excel record does not read', () => {
+        const enspireRecord = { ScopeModel: 'ec-1' };
+
+        assert.equal(comparer.isEqual([enspireRecord], [dbRecord], fields, {}, comparators), true);
+        assert.deepEqual(comparer.getFieldDifferences(enspireRecord, dbRecord, fields, {}, comparators), []);
+    });
+
+    test('compares fields the mapping read, even when empty', () => {
+        const masterRecord = { ScopeModel: 'EC-1', ScopeFamily: '', ScopePerBasin: '2' };
+
+        assert.equal(comparer.isEqual([masterRecord], [dbRecord], fields, {}, comparators), false);
+        assert.deepEqual(comparer.getFieldDifferences(masterRecord, dbRecord, fields, {}, comparators), [
+            { field: 'ScopeFamily', excelValue: '', dbValue: '1-537-598' }
+        ]);
+    });
+});
@@ -0,0 +1,128 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fse from 'fs-extra';
+import ExcelJS from 'exceljs';
+import ExcelHelper from '../utils/excelHelper.js';
+import ProvenanceHelper from '../utils/provenanceHelper.js';
+
+// Fields of the extracted records, without their source
+const fieldsOf = records => records.map(record => Object.fromEntries(Object.entries(record)));
+
+describe('ExcelHelper header rows', () => {
+  const excelHelper = new ExcelHelper();
+  let directory;
+
+  const writeWorkbook = async (filename, build) => {
+    const workbook = new ExcelJS.Workbook();
+    build(workbook.addWorksheet('Scopes'));
+    await workbook.xlsx.writeFile(path.join(directory, filename));
+  };
+
+  before(async () => {
+    directory = await fse.mkdtemp(path.join(os.tmpdir(), 'excel-helper-'));
+
+    await writeWorkbook('detected.xlsx', sheet => {
+      sheet.addRow(['Scope list, revision AM']);
+      sheet.addRow([]);
+      sheet.addRow(['Scope Model', 'Endoscope Manufacturer', 'Notes']);
+      sheet.addRow(['EC-3831LK', 'Pentax', 'kept']);
+      sheet.addRow(['GIF-H190', 'Olympus']);
+    });
+
+    await writeWorkbook('merged.xlsx', sheet => {
+      sheet.addRow(['Inserted title row']);
+      sheet.addRow(['Scope', null, 'ADV Hookup', null]);
+      sheet.mergeCells('A2:B2');
+      sheet.mergeCells('C2:D2');
+      sheet.addRow(['Model\nNumber', 'Maker', 'Hookup', 'Per Basin']);
+      sheet.addRow(['M-1', 'Olympus', 'H1', 2]);
+      sheet.addRow(['M-2', 'Pentax', 'H2', 3]);
+    });
+  });
+
+  after(async () => {
+    await fse.remove(directory);
+  });
+
+  const read = fileMapping => excelHelper.readExcel({ fileMapping: { sheetName: 'Scopes', ...fileMapping }, dataSheetsDirectory: directory });
+
+  test('detects the header row below title rows', async () => {
+    const result = await read({
+      filename: 'detected.xlsx',
+      columnConfig: [
+        { columnName: 'ScopeModel', headerName: 'Scope Model' },
+        { columnName: 'ManufacturerName', headerName: 'Endoscope Manufacturer' }
+      ]
+    });
+
+    assert.equal(result.success, true);
+    assert.equal(result.headerRow, 3);
+    assert.deepEqual(fieldsOf(result.data), [
+      { ScopeModel: 'EC-3831LK', ManufacturerName: 'Pentax' },
+      { ScopeModel: 'GIF-H190', ManufacturerName: 'Olympus' }
+    ]);
+    assert.deepEqual(result.data.map(record => new ProvenanceHelper().getSource(record).row), [4, 5]);
+  });
+
+  test('uses headerIndex when it is given', async () => {
+    const result = await read({
+      filename: 'detected.xlsx',
+      headerIndex: 4,
+      columnConfig: [{ columnName: 'ScopeModel', headerName: 'EC-3831LK' }]
+    });
+
+    assert.equal(result.headerRow, 4);
+    assert.deepEqual(fieldsOf(result.data), [{ ScopeModel: 'GIF-H190' }]);
+  });
+
+  test('reads multi-row merged headers by their full or lowest text and by alias', async () => {
+    const result = await read({
+      filename: 'merged.xlsx',
+      headerRows: 2,
+      columnConfig: [
+        { columnName: 'ScopeModel', headerName: 'Scope Model Number' },
+        { columnName: 'ManufacturerName', headerName: 'Maker' },
+        { columnName: 'HookupName', headerName: 'Hookup Name', headerAliases: ['ADV Hookup Hookup'] },
+        { columnName: 'ScopePerBasin', headerName: 'Per Basin', dataType: 'number' }
+      ]
+    });
+
+    assert.equal(result.success, true);
+    assert.equal(result.headerRow, 2);
+    assert.deepEqual(fieldsOf(result.data), [
+      { ScopeModel: 'M-1', ManufacturerName: 'Olympus', HookupName: 'H1', ScopePerBasin: 2 },
+      { ScopeModel: 'M-2', ManufacturerName: 'Pentax', HookupName: 'H2', ScopePerBasin: 3 }
+    ]);
+  });
+
+  test('leaves out a missing column that is not required', async () => {
+    const result = await read({
+      filename: 'detected.xlsx',
+      columnConfig: [
+        { columnName: 'ScopeModel', headerName: 'Scope Model' },
+        { columnName: 'ScopeType', headerName: 'Endoscope Type' }
+      ]
+    });
+
+    assert.equal(result.success, true);
+    assert.equal(result.headerRow, 3);
+    assert.deepEqual(result.data.map(record => Object.keys(record)), [['ScopeModel'], ['ScopeModel']]);
+  });
+
+  test('fails when a required column is missing', async () => {
+    const result = await read({
+      filename: 'detected.xlsx',
+      columnConfig: [
+        { columnName: 'ScopeModel', headerName: 'Scope Model' },
+        { columnName: 'ScopeType', headerName: 'Endoscope Type', required: true }
+      ]
+    });
+
+    assert.equal(result.success, false);
+    assert.deepEqual(result.missingColumns, ['Endoscope Type']);
+    assert.match(result.error, /Missing required column\(s\) "Endoscope Type" in sheet "Scopes" of detected.xlsx/);
+    assert.deepEqual(result.data, []);
+  });
+});
@@ -0,0 +1,71 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import FieldComparator from '../utils/fieldComparator.js';
+
+describe('FieldComparator', () => {
+  const fieldComparator = new FieldComparator();
+
+  // [compare entry, column, excel value, database value, expected]
+  const cases = [
+    ['string', {}, 'Colonoscope', 'colonoscope ', true],
+    ['string', {}, '2', 2, true],
+    ['string', {}, '2.50', 2.5, true],
+    ['string', {}, '', null, true],
+    ['string', {}, undefined, '', true],
+    ['string', {}, '0', null, false],
+    ['string', {}, 'EC-1', 'EC-2', false],
+    [{ type: 'string', caseSensitive: true }, {}, 'Colonoscope', 'colonoscope', false],
+    ['string', {}, new Date('2024-03-01T08:30:00.000Z'), '2024-03-01T08:30:00.000Z', true],
+    ['number', {}, '2', 2, true],
+    ['number', {}, 2.004, 2, false],
+    [{ type: 'number', tolerance: 0.01 }, {}, 2.004, 2, true],
+    [{ type: 'number', tolerance: 0.01 }, {}, '2.02', 2, false],
+    ['number', {}, 'n/a', 'N/A', true],
+    ['number', {}, null, '', true],
+    ['date', {}, new Date('2024-03-01T08:00:00.000Z'), new Date('2024-03-01T09:30:00.000Z'), true],
+    ['date', {}, new Date('2024-03-01T12:00:00.000Z'), new Date('2024-03-02T12:00:00.000Z'), false],
+    ['date', { dateFormat: 'DD/MM/YYYY' }, '01/03/2024', new Date('2024-03-01T12:00:00.000Z'), true],
+    [{ type: 'date', precision: 'time' }, {}, new Date('2024-03-01T08:00:00.000Z'), new Date('2024-03-01T09:30:00.000Z'), false],
+    [{ type: 'date', precision: 'time' }, {}, new Date('2024-03-01T08:00:00.000Z'), '2024-03-01T08:00:00.000Z', true],
+    ['set', {}, 'a, B,c', 'c,b,A', true],
+    ['set', {}, 'a,b', 'a,b,c', false],
+    ['set', {}, ['a', 'b'], 'b,a', true],
+    [{ type: 'set', separator: ';' }, {}, 'a;b', 'b; a', true],
+    [{ type: 'set', ordered: true }, {}, 'a,b', 'b,a', false],
+    [{ type: 'set', ordered: true }, {}, 'a,b', 'A, b', true],
+    ['set', {}, '', null, true],
+    ['ignore', {}, 'anything', 'else', true]
+  ];
+
+  for (const [compare, column, excelValue, dbValue, expected] of cases) {
+    test(`${JSON.stringify(compare)} ${expected ? 'equals' : 'differs'}: ${JSON.stringify(excelValue)} and ${JSON.stringify(dbValue)}`, () => {
+      assert.equal(fieldComparator.compile(compare, column)(excelValue, dbValue), expected);
+    });
+  }
+
+  test('rejects unknown comparators', () => {
+    assert.throws(() => fieldComparator.compile('fuzzy'), /Unknown comparator: fuzzy/);
+  });
+
+  test('compares columns without compare entry by their dataType', () => {
+    const comparators = fieldComparator.buildColumnComparators([
+      { filename: 'a.xlsx', columnConfig: [{ columnName: 'Count', dataType: 'number' }, { columnName: 'Seen', dataType: 'date' }, { columnName: 'Name' }] },
+      { filename: 'b.xlsx', columnConfig: [{ columnName: 'Name', compare: { type: 'string', caseSensitive: true } }] }
+    ]);
+
+    assert.equal(comparators.Count('3', 3), true);
+    assert.equal(comparators.Seen(new Date('2024-03-01T08:00:00.000Z'), new Date('2024-03-01T09:00:00.000Z')), false);
+    // A later mapping's compare entry is used when the first mapping has none
+    assert.equal(comparators.Name('Olympus', 'OLYMPUS'), false);
+  });
+
+  test('lists every mapped column with compareAllFields, leaving out ignored ones', () => {
+    const mapping = [
+      { filename: 'a.xlsx', columnConfig: [{ columnName: 'ScopeModel' }, { columnName: 'ScopeFamily' }, { columnName: 'Notes', compare: 'ignore' }] },
+      { filename: 'b.xlsx', columnConfig: [{ columnName: 'ScopeModel' }, { columnName: 'ScopeType' }] }
+    ];
+
+    assert.deepEqual(fieldComparator.getCompareFields({ mapping, compareAllFields: true }), ['ScopeModel', 'ScopeFamily', 'ScopeType']);
+    assert.deepEqual(fieldComparator.getCompareFields({ mapping, exactFieldMatch: ['ScopeType', 'Notes'] }), ['ScopeType']);
+  });
+});
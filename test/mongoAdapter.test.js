@@ -0,0 +1,75 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import config from '../config.js';
+import MongoDBAdapter from '../DB/MongoDB/index.js';
+import { resolveQueryParams } from '../DB/queryHelper.js';
+
+describe('MongoDBAdapter.buildPipeline', () => {
+    const adapter = new MongoDBAdapter({ uri: 'mongodb://localhost/test' });
+    const dbQueryOf = collectionName => config.collectionConfig.find(collection => collection.collectionName === collectionName).dbQuery;
+    const buildPipeline = (collectionName, overrides) => {
+        const dbQuery = dbQueryOf(collectionName);
+        return adapter.buildPipeline(dbQuery, resolveQueryParams(dbQuery, overrides));
+    };
+
+    const hookupProjection = {
+        _id: 0,
+        HookupName: '$HookupName',
+        MachineFamilyID: '$MachineFamilyID',
+        ScopeModel: '$scope.ScopeModel',
+        ScopeModelId: '$scope.ScopeModelId',
+        ScopeType: '$scope.ScopeType',
+        ManufacturerName: '$scope.ManufacturerName',
+        ScopeFamily: '$scope.ScopeFamily',
+        ScopeFamilyId: '$scope.ScopeFamilyId',
+        ScopePerBasin: '$scope.ScopePerBasin'
+    };
+
+    test('projects the fields the HuluScope helper selected', () => {
+        assert.deepEqual(buildPipeline('hulu.scope'), [
+            {
+                $project: {
+                    ManufacturerName: '$ManufacturerName',
+                    ScopeType: '$ScopeType',
+                    ScopeModel: '$ScopeModel',
+                    ScopeFamily: '$ScopeFamily',
+                    ScopePerBasin: '$ScopePerBasin'
+                }
+            }
+        ]);
+    });
+
+    // The HuluHookup helper ran $lookup, $unwind (dropping hookups without scope) and $group by _id with $first:
+    // one record per hookup holding its first scope. $arrayElemAt 0 with $exists keeps the same document.
+    test('joins the first scope of each hookup like the HuluHookup helper', () => {
+        assert.deepEqual(buildPipeline('hulu.hookup'), [
+            { $match: { $and: [{ MachineFamilyID: 2 }, { HookupName: { $not: { $in: [/CAS/i, /HAN/i] } } }] } },
+            { $lookup: { from: 'hulu.scope', localField: 'ScopeSfamId', foreignField: 'ScopeFamilyId', as: 'scope' } },
+            { $addFields: { scope: { $arrayElemAt: ['$scope', 0] } } },
+            { $match: { scope: { $exists: true } } },
+            { $project: hookupProjection }
+        ]);
+    });
+
+    test('uses --param values converted to the type of the default', () => {
+        const [match] = buildPipeline('hulu.hookup', { machineFamilyId: '3' });
+
+        assert.deepEqual(match.$match.$and[0], { MachineFamilyID: 3 });
+    });
+
+    test('keeps joins that are not required and filters on joined fields after the lookup', () => {
+        const pipeline = adapter.buildPipeline({
+            filter: { HookupName: { contains: 'a.d' }, 'scope.ScopeType': { ne: 'Colonoscope' } },
+            join: [{ from: 'hulu.scope', localField: 'ScopeSfamId', foreignField: 'ScopeFamilyId', as: 'scope', required: false }],
+            fields: ['HookupName']
+        });
+
+        assert.deepEqual(pipeline, [
+            { $match: { HookupName: { $in: [/a\.d/i] } } },
+            { $lookup: { from: 'hulu.scope', localField: 'ScopeSfamId', foreignField: 'ScopeFamilyId', as: 'scope' } },
+            { $addFields: { scope: { $arrayElemAt: ['$scope', 0] } } },
+            { $match: { 'scope.ScopeType': { $ne: 'Colonoscope' } } },
+            { $project: { HookupName: '$HookupName' } }
+        ]);
+    });
+});
@@ -0,0 +1,60 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { getWriteBackProblem, resolveQueryParams, parseConditions } from '../DB/queryHelper.js';
+
+describe('getWriteBackProblem', () => {
+    const cases = [
+        ['no dbQuery', undefined, null],
+        ['listed fields', { fields: ['ScopeModel', 'ScopeType'] }, null],
+        ['fields mapped to themselves', { fields: { ScopeModel: 'ScopeModel' }, filter: { ScopeType: 'Colonoscope' } }, null],
+        ['a join', { join: [{ from: 'hulu.scope', localField: 'ScopeSfamId', foreignField: 'ScopeFamilyId', as: 'scope' }] }, 'its dbQuery joins hulu.scope'],
+        ['includeId false', { fields: ['ScopeModel'], includeId: false }, 'its dbQuery leaves out the record id'],
+        ['renamed fields', { fields: { Model: 'ScopeModel', ScopeType: 'ScopeType' } }, 'its dbQuery renames ScopeModel to Model']
+    ];
+
+    for (const [name, dbQuery, expected] of cases) {
+        test(`returns ${expected === null ? 'null' : 'a reason'} for ${name}`, () => {
+            assert.equal(getWriteBackProblem(dbQuery), expected);
+        });
+    }
+});
+
+describe('resolveQueryParams', () => {
+    const dbQuery = { params: { machineFamilyId: 2, region: 'EU' } };
+
+    test('returns the defaults without overrides', () => {
+        assert.deepEqual(resolveQueryParams(dbQuery), { machineFamilyId: 2, region: 'EU' });
+    });
+
+    test('converts overrides to the type of the default', () => {
+        assert.deepEqual(resolveQueryParams(dbQuery, { machineFamilyId: '3', region: '42' }), { machineFamilyId: 3, region: '42' });
+    });
+
+    test('keeps texts that are not numbers for number defaults', () => {
+        assert.deepEqual(resolveQueryParams(dbQuery, { machineFamilyId: 'all' }), { machineFamilyId: 'all', region: 'EU' });
+    });
+
+    test('ignores names the query does not declare', () => {
+        assert.deepEqual(resolveQueryParams(dbQuery, { machineFamilyID: '3' }), { machineFamilyId: 2, region: 'EU' });
+    });
+});
+
+describe('parseConditions', () => {
+    test('resolves params in equalities and operators', () => {
+        const conditions = parseConditions(
+            { MachineFamilyID: { param: 'machineFamilyId' }, HookupName: { notContains: ['CAS', 'HAN'] }, Region: { in: [{ param: 'region' }, 'US'] } },
+            { machineFamilyId: 3, region: 'EU' }
+        );
+
+        assert.deepEqual(conditions, [
+            { path: 'MachineFamilyID', op: 'eq', value: 3 },
+            { path: 'HookupName', op: 'notContains', value: ['CAS', 'HAN'] },
+            { path: 'Region', op: 'in', value: ['EU', 'US'] }
+        ]);
+    });
+
+    test('rejects params without value and unknown operators', () => {
+        assert.throws(() => parseConditions({ MachineFamilyID: { param: 'machineFamilyId' } }, {}), /Query parameter "machineFamilyId" has no value/);
+        assert.throws(() => parseConditions({ HookupName: { like: 'CAS' } }), /Unknown query operator "like" for field HookupName/);
+    });
+});
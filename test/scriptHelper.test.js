@@ -0,0 +1,126 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { buildRollbackOperations, buildScriptHeader } from '../DB/scriptHelper.js';
+import SQLAdapter from '../DB/SQL/index.js';
+import MongoDBAdapter from '../DB/MongoDB/index.js';
+
+describe('buildRollbackOperations', () => {
+    const operations = [
+        {
+            action: 'DELETE',
+            key: 'old-1',
+            filter: { ScopeModel: 'OLD-1' },
+            document: { ScopeModel: 'OLD-1' },
+            documents: [{ id: 7, ScopeModel: 'OLD-1', ScopeFamilyId: 4 }, { id: 9, ScopeModel: 'OLD-1', ScopeFamilyId: null }]
+        },
+        {
+            action: 'UPDATE',
+            key: 'ec-1',
+            source: 'Master.xlsx!All Scopes Merged:12',
+            filter: { _id: 3, ScopeModel: 'EC-1' },
+            changes: { ScopeModel: 'EC-1A', ScopeType: 'Gastroscope', ScopePerBasin: 2 },
+            previous: { ScopeModel: 'EC-1', ScopeType: 'Colonoscope', ScopePerBasin: undefined }
+        },
+        { action: 'ADD', key: 'new-1', source: 'ENSPIRE.xlsx!ENSPIRE:4', filter: { ScopeModel: 'NEW-1' }, document: { ScopeModel: 'NEW-1' } }
+    ];
+
+    test('undoes the operations in reverse order', () => {
+        const rollback = buildRollbackOperations(operations);
+
+        assert.deepEqual(rollback.map(operation => [operation.action, operation.key]), [
+            ['DELETE', 'new-1'],
+            ['UPDATE', 'ec-1'],
+            ['ADD', 'old-1'],
+            ['ADD', 'old-1']
+        ]);
+    });
+
+    test('deletes added records with their filter', () => {
+        const [deletion] = buildRollbackOperations(operations);
+
+        assert.deepEqual(deletion, { action: 'DELETE', key: 'new-1', source: 'ENSPIRE.xlsx!ENSPIRE:4', filter: { ScopeModel: 'NEW-1' } });
+    });
+
+    test('restores previous values, matching changed key fields on their new value and emptying added fields', () => {
+        const update = buildRollbackOperations(operations)[1];
+
+        assert.deepEqual(update.filter, { _id: 3, ScopeModel: 'EC-1A' });
+        assert.deepEqual(update.changes, { ScopeModel: 'EC-1', ScopeType: 'Colonoscope' });
+        assert.deepEqual(update.unset, ['ScopePerBasin']);
+    });
+
+    test('inserts every stored record of a delete again', () => {
+        const insertions = buildRollbackOperations(operations).slice(2);
+
+        assert.deepEqual(insertions.map(operation => operation.document), operations[0].documents);
+    });
+
+    test('lists skipped possible matches in the script header', () => {
+        const lines = buildScriptHeader('Migration of hulu.scope', operations, [{ key: 'ec-3831lk', dbKey: 'ec 3831lk' }]);
+
+        assert.equal(lines[1], '1 inserts, 1 updates, 1 deletes. Review before running.');
+        assert.deepEqual(lines.slice(2), [
+            '1 possible matches are neither inserted nor deleted, review them in the comparison report:',
+            '- ec-3831lk ~ ec 3831lk'
+        ]);
+    });
+});
+
+describe('SQLAdapter.toSqlLiteral', () => {
+    const adapter = new SQLAdapter({ sql: true, sqlClient: 'sqlite', filename: ':memory:' });
+    const cases = [
+        ['null', null, 'NULL'],
+        ['undefined', undefined, 'NULL'],
+        ['a number', 2.5, '2.5'],
+        ['NaN', NaN, 'NULL'],
+        ['a boolean', true, 'TRUE'],
+        ['a text', 'EC-3831LK', '\'EC-3831LK\''],
+        ['single quotes', 'O\'Brien\'s', '\'O\'\'Brien\'\'s\''],
+        ['a statement in a text', '\'); DROP TABLE t; --', '\'\'\'); DROP TABLE t; --\''],
+        ['a date', new Date('2024-03-01T08:30:00.000Z'), '\'2024-03-01T08:30:00.000Z\''],
+        ['an object', { a: 'it\'s' }, '\'{"a":"it\'\'s"}\'']
+    ];
+
+    for (const [name, value, expected] of cases) {
+        test(`writes ${name}`, () => {
+            assert.equal(adapter.toSqlLiteral(value), expected);
+        });
+    }
+
+    test('inlines the literals in statements', () => {
+        const statement = adapter.toSqlStatement('hulu.scope', { action: 'UPDATE', filter: { ScopeModel: 'O\'X', ScopeType: null }, changes: { ScopeType: 'Colon\'s' }, unset: ['ScopePerBasin'] });
+
+        assert.equal(statement, 'UPDATE "hulu.scope" SET "ScopeType" = \'Colon\'\'s\', "ScopePerBasin" = NULL WHERE "ScopeModel" = \'O\'\'X\' AND "ScopeType" IS NULL;');
+    });
+});
+
+describe('MongoDBAdapter.toShellValue', () => {
+    const adapter = new MongoDBAdapter({ uri: 'mongodb://localhost/test' });
+    const id = new mongoose.Types.ObjectId('64b7f0c2a1b2c3d4e5f60718');
+    const cases = [
+        ['null', null, 'null'],
+        ['undefined', undefined, 'null'],
+        ['a number', 3, '3'],
+        ['Infinity', Infinity, 'null'],
+        ['a boolean', false, 'false'],
+        ['quotes and backslashes', 'say "hi" \\ it\'s', '"say \\"hi\\" \\\\ it\'s"'],
+        ['a line break', 'a\nb', '"a\\nb"'],
+        ['a date', new Date('2024-03-01T08:30:00.000Z'), 'ISODate("2024-03-01T08:30:00.000Z")'],
+        ['an ObjectId', id, 'ObjectId("64b7f0c2a1b2c3d4e5f60718")'],
+        ['an array', ['a', null, 2], '["a", null, 2]'],
+        ['an object', { _id: id, 'odd"key': 'x' }, '{ "_id": ObjectId("64b7f0c2a1b2c3d4e5f60718"), "odd\\"key": "x" }']
+    ];
+
+    for (const [name, value, expected] of cases) {
+        test(`writes ${name}`, () => {
+            assert.equal(adapter.toShellValue(value), expected);
+        });
+    }
+
+    test('unsets fields restored to no value', () => {
+        const statement = adapter.toShellStatement({ action: 'UPDATE', filter: { _id: id }, changes: {}, unset: ['ScopePerBasin'] });
+
+        assert.equal(statement, 'collection.updateOne({ "_id": ObjectId("64b7f0c2a1b2c3d4e5f60718") }, { "$unset": { "ScopePerBasin": "" } });');
+    });
+});
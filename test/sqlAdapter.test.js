@@ -0,0 +1,243 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fse from 'fs-extra';
+import SQLAdapter from '../DB/SQL/index.js';
+import PostgresDriver from '../DB/SQL/drivers/postgres.js';
+
+const createAdapter = async (directory) => {
+  const adapter = new SQLAdapter({ sql: true, sqlClient: 'sqlite', filename: path.join(directory, 'test.sqlite') });
+  await adapter.init();
+  await adapter.query('CREATE TABLE "hulu.scope" (id INTEGER PRIMARY KEY, ScopeModel TEXT, ScopeType TEXT, ScopeFamilyId INTEGER)');
+  await adapter.query('CREATE TABLE "hulu.hookup" (id INTEGER PRIMARY KEY, HookupName TEXT, MachineFamilyID INTEGER, ScopeSfamId INTEGER)');
+  await adapter.query('CREATE TABLE "scope.family" (code TEXT PRIMARY KEY, FamilyName TEXT, ScopeFamilyId INTEGER)');
+  await adapter.insert('hulu.scope', [
+    { id: 1, ScopeModel: 'EC-3831LK', ScopeType: 'Colonoscope', ScopeFamilyId: 10 },
+    { id: 2, ScopeModel: 'EC-3831FK2', ScopeType: 'Colonoscope', ScopeFamilyId: 10 },
+    { id: 3, ScopeModel: 'GIF-H190', ScopeType: null, ScopeFamilyId: 20 }
+  ]);
+  await adapter.insert('hulu.hookup', [
+    { id: 1, HookupName: 'Adv Colon', MachineFamilyID: 2, ScopeSfamId: 10 },
+    { id: 2, HookupName: 'Adv CAS', MachineFamilyID: 2, ScopeSfamId: 10 },
+    { id: 3, HookupName: 'adv han', MachineFamilyID: 2, ScopeSfamId: 20 },
+    { id: 4, HookupName: null, MachineFamilyID: 2, ScopeSfamId: 20 },
+    { id: 5, HookupName: 'Adv Gastro', MachineFamilyID: 3, ScopeSfamId: 20 },
+    { id: 6, HookupName: 'Adv Orphan', MachineFamilyID: 2, ScopeSfamId: 99 }
+  ]);
+  await adapter.insert('scope.family', [
+    { code: 'B', FamilyName: 'Colon B', ScopeFamilyId: 10 },
+    { code: 'A', FamilyName: 'Colon A', ScopeFamilyId: 10 }
+  ]);
+  return adapter;
+};
+
+describe('SQLAdapter with SQLite', () => {
+  let directory;
+  let adapter;
+
+  before(async () => {
+    directory = await fse.mkdtemp(path.join(os.tmpdir(), 'sql-adapter-'));
+  });
+
+  after(async () => {
+    await fse.remove(directory);
+  });
+
+  const withAdapter = (name, options, run = options) => test(name, run === options ? {} : options, async () => {
+    await fse.remove(path.join(directory, 'test.sqlite'));
+    adapter = await createAdapter(directory);
+    try {
+      await run();
+    } finally {
+      await adapter.close();
+    }
+  });
+
+  withAdapter('fetches with a filter, a join and renamed fields, keeping the joined row with the lowest id', async () => {
+    const result = await adapter.fetchRecords('hulu.hookup', {
+      params: { machineFamilyId: 2 },
+      filter: { MachineFamilyID: { param: 'machineFamilyId' }, HookupName: { notContains: ['CAS', 'HAN'] } },
+      join: [{ from: 'hulu.scope', localField: 'ScopeSfamId', foreignField: 'ScopeFamilyId', as: 'scope' }],
+      fields: { HookupName: 'HookupName', ScopeModel: 'scope.ScopeModel' },
+      includeId: false
+    });
+
+    assert.equal(result.success, true);
+    // notContains folds case and matches NULL, the inner join drops the hookup without scope
+    assert.deepEqual(result.data, [
+      { HookupName: 'Adv Colon', ScopeModel: 'EC-3831LK' },
+      { HookupName: null, ScopeModel: 'GIF-H190' }
+    ]);
+  });
+
+  withAdapter('overrides params and keeps unmatched rows of joins that are not required', async () => {
+    const result = await adapter.fetchRecords('hulu.hookup', {
+      params: { machineFamilyId: 2 },
+      filter: { MachineFamilyID: { param: 'machineFamilyId' } },
+      join: [{ from: 'hulu.scope', localField: 'ScopeSfamId', foreignField: 'ScopeFamilyId', as: 'scope', required: false }],
+      fields: { HookupName: 'HookupName', ScopeModel: 'scope.ScopeModel' },
+      includeId: false
+    }, { machineFamilyId: '3' });
+
+    assert.deepEqual(result.data, [{ HookupName: 'Adv Gastro', ScopeModel: 'GIF-H190' }]);
+
+    const unmatched = await adapter.fetchRecords('hulu.hookup', {
+      filter: { id: 6 },
+      join: [{ from: 'hulu.scope', localField: 'ScopeSfamId', foreignField: 'ScopeFamilyId', as: 'scope', required: false }],
+      fields: { HookupName: 'HookupName', ScopeModel: 'scope.ScopeModel' },
+      includeId: false
+    });
+    assert.deepEqual(unmatched.data, [{ HookupName: 'Adv Orphan', ScopeModel: null }]);
+  });
+
+  withAdapter('joins tables keyed by another column with join.rowId', async () => {
+    const result = await adapter.fetchRecords('hulu.scope', {
+      filter: { id: 1 },
+      join: [{ from: 'scope.family', localField: 'ScopeFamilyId', foreignField: 'ScopeFamilyId', as: 'family', rowId: 'code' }],
+      fields: { ScopeModel: 'ScopeModel', FamilyName: 'family.FamilyName' }
+    });
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.data, [{ _id: 1, ScopeModel: 'EC-3831LK', FamilyName: 'Colon A' }]);
+  });
+
+  withAdapter('returns the row id as _id with listed fields, whole rows and dbQuery.rowId', async () => {
+    const listed = await adapter.fetchRecords('hulu.scope', { filter: { ScopeFamilyId: 20 }, fields: ['ScopeModel'] });
+    assert.deepEqual(listed.data, [{ _id: 3, ScopeModel: 'GIF-H190' }]);
+
+    const whole = await adapter.fetchRecords('hulu.scope', { filter: { ScopeFamilyId: 20 } });
+    assert.deepEqual(whole.data, [{ _id: 3, id: 3, ScopeModel: 'GIF-H190', ScopeType: null, ScopeFamilyId: 20 }]);
+
+    const keyed = await adapter.fetchRecords('scope.family', { rowId: 'code', filter: { FamilyName: 'Colon B' }, fields: ['FamilyName'] });
+    assert.deepEqual(keyed.data, [{ _id: 'B', FamilyName: 'Colon B' }]);
+    assert.equal(adapter.buildWhere({ _id: 'A' }, 'scope.family').clause, '"code" = ?');
+  });
+
+  withAdapter('matches NULL with negative operators and folds case with contains', async () => {
+    const fetchModels = async filter => {
+      const result = await adapter.fetchRecords('hulu.scope', { filter, fields: ['ScopeModel'], includeId: false });
+      return result.data.map(record => record.ScopeModel);
+    };
+
+    assert.deepEqual(await fetchModels({ ScopeType: { ne: 'Colonoscope' } }), ['GIF-H190']);
+    assert.deepEqual(await fetchModels({ ScopeType: { nin: ['Colonoscope'] } }), ['GIF-H190']);
+    assert.deepEqual(await fetchModels({ ScopeType: { exists: false } }), ['GIF-H190']);
+    assert.deepEqual(await fetchModels({ ScopeType: null }), ['GIF-H190']);
+    assert.deepEqual(await fetchModels({ ScopeModel: { contains: 'fk' } }), ['EC-3831FK2']);
+    assert.deepEqual(await fetchModels({ ScopeModel: { in: [] } }), []);
+    assert.deepEqual(await fetchModels({ ScopeFamilyId: { gte: 10, lt: 20 } }), ['EC-3831LK', 'EC-3831FK2']);
+  });
+
+  withAdapter('applies ADD, UPDATE and DELETE operations by row id', async () => {
+    const fetched = await adapter.fetchRecords('hulu.scope', { fields: ['ScopeModel', 'ScopeType'] });
+    const first = fetched.data.find(record => record.ScopeModel === 'EC-3831LK');
+    const second = fetched.data.find(record => record.ScopeModel === 'EC-3831FK2');
+
+    const result = await adapter.applyOperations('hulu.scope', [
+      { action: 'DELETE', key: 'ec-3831fk2', filter: { _id: second._id }, document: second },
+      { action: 'UPDATE', key: 'ec-3831lk', filter: { _id: first._id }, changes: { ScopeType: 'Gastroscope' }, previous: { ScopeType: 'Colonoscope' } },
+      { action: 'ADD', key: 'cf-h190', filter: { ScopeModel: 'CF-H190' }, document: { ScopeModel: 'CF-H190', ScopeType: 'Colonoscope' } }
+    ]);
+
+    assert.equal(result.success, true);
+    assert.equal(result.transaction, true);
+    assert.deepEqual([result.insertedCount, result.updatedCount, result.deletedCount], [1, 1, 1]);
+    assert.deepEqual(result.operations.map(operation => operation.status), ['applied', 'applied', 'applied']);
+
+    const rows = await adapter.query('SELECT ScopeModel, ScopeType FROM "hulu.scope" ORDER BY id');
+    assert.deepEqual(rows.data, [
+      { ScopeModel: 'EC-3831LK', ScopeType: 'Gastroscope' },
+      { ScopeModel: 'GIF-H190', ScopeType: null },
+      { ScopeModel: 'CF-H190', ScopeType: 'Colonoscope' }
+    ]);
+  });
+
+  withAdapter('rolls back every operation when one fails', async () => {
+    const result = await adapter.applyOperations('hulu.scope', [
+      { action: 'ADD', key: 'cf-h190', filter: { ScopeModel: 'CF-H190' }, document: { ScopeModel: 'CF-H190' } },
+      { action: 'ADD', key: 'broken', filter: { ScopeModel: 'BROKEN' }, document: { NoSuchColumn: 'x' } },
+      { action: 'DELETE', key: 'gif-h190', filter: { _id: 3 }, document: {} }
+    ]);
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /NoSuchColumn/);
+    assert.equal(result.insertedCount, 0);
+    assert.deepEqual(result.operations.map(operation => operation.status), ['rolled back', 'failed', 'skipped']);
+
+    const count = await adapter.query('SELECT COUNT(*) AS count FROM "hulu.scope"');
+    assert.equal(count.data[0].count, 3);
+  });
+
+  withAdapter('applies two collections concurrently on one connection, each in its own transaction', async () => {
+    const [scopes, hookups, fetched] = await Promise.all([
+      adapter.applyOperations('hulu.scope', [
+        { action: 'UPDATE', key: 'ec-3831lk', filter: { _id: 1 }, changes: { ScopeType: 'Gastroscope' }, previous: { ScopeType: 'Colonoscope' } },
+        { action: 'ADD', key: 'broken', filter: { ScopeModel: 'BROKEN' }, document: { NoSuchColumn: 'x' } }
+      ]),
+      adapter.applyOperations('hulu.hookup', [
+        { action: 'DELETE', key: 'adv cas', filter: { _id: 2 }, document: {} },
+        { action: 'UPDATE', key: 'adv colon', filter: { _id: 1 }, changes: { HookupName: 'Adv Colon 2' }, previous: { HookupName: 'Adv Colon' } }
+      ]),
+      adapter.fetchRecords('hulu.scope', { filter: { id: 1 }, fields: ['ScopeType'] })
+    ]);
+
+    assert.equal(scopes.success, false);
+    assert.deepEqual(scopes.operations.map(operation => operation.status), ['rolled back', 'failed']);
+    assert.equal(hookups.success, true);
+    assert.deepEqual([hookups.updatedCount, hookups.deletedCount], [1, 1]);
+    // The fetch waited for the open transaction instead of reading its uncommitted update
+    assert.deepEqual(fetched.data, [{ _id: 1, ScopeType: 'Colonoscope' }]);
+
+    const scope = await adapter.query('SELECT ScopeType FROM "hulu.scope" WHERE id = 1');
+    assert.equal(scope.data[0].ScopeType, 'Colonoscope');
+    const hookupNames = await adapter.query('SELECT HookupName FROM "hulu.hookup" WHERE id IN (1, 2)');
+    assert.deepEqual(hookupNames.data, [{ HookupName: 'Adv Colon 2' }]);
+  });
+
+  withAdapter('runs a transaction opened inside the open one as part of it', { timeout: 5000 }, async () => {
+    await adapter.transaction(async () => {
+      await adapter.insert('hulu.scope', [{ ScopeModel: 'CF-H190' }]);
+      await adapter.query('UPDATE "hulu.scope" SET ScopeType = ? WHERE ScopeModel = ?', ['Colonoscope', 'CF-H190']);
+    });
+    const inserted = await adapter.query('SELECT ScopeType FROM "hulu.scope" WHERE ScopeModel = ?', ['CF-H190']);
+    assert.deepEqual(inserted.data, [{ ScopeType: 'Colonoscope' }]);
+
+    await assert.rejects(adapter.transaction(async () => {
+      await adapter.insert('hulu.scope', [{ ScopeModel: 'CF-H180' }]);
+      throw new Error('abort');
+    }), /abort/);
+    const rolledBack = await adapter.query('SELECT COUNT(*) AS count FROM "hulu.scope" WHERE ScopeModel = ?', ['CF-H180']);
+    assert.equal(rolledBack.data[0].count, 0);
+  });
+
+  withAdapter('inserts records in batches with the union of their columns', async () => {
+    const records = Array.from({ length: 1201 }, (_, index) => index % 2
+      ? { ScopeModel: `M-${index}` }
+      : { ScopeModel: `M-${index}`, ScopeType: 'Colonoscope' });
+
+    const result = await adapter.insert('hulu.scope', records);
+
+    assert.deepEqual(result, { success: true, insertedCount: 1201 });
+    const count = await adapter.query('SELECT COUNT(*) AS count FROM "hulu.scope" WHERE ScopeType IS NULL');
+    assert.equal(count.data[0].count, 601);
+  });
+});
+
+describe('PostgresDriver.toPositionalParams', () => {
+  const driver = new PostgresDriver({});
+
+  const cases = [
+    ['SELECT * FROM t WHERE a = ? AND b = ?', 'SELECT * FROM t WHERE a = $1 AND b = $2'],
+    ['SELECT * FROM t WHERE a = \'?\' AND b = ?', 'SELECT * FROM t WHERE a = \'?\' AND b = $1'],
+    ['SELECT "what?" FROM t WHERE a IN (?, ?, ?)', 'SELECT "what?" FROM t WHERE a IN ($1, $2, $3)'],
+    ['SELECT * FROM t WHERE a = \'it\'\'s?\' OR b = ?', 'SELECT * FROM t WHERE a = \'it\'\'s?\' OR b = $1'],
+    ['SELECT 1', 'SELECT 1']
+  ];
+
+  for (const [sql, expected] of cases) {
+    test(`rewrites ${sql}`, () => {
+      assert.equal(driver.toPositionalParams(sql), expected);
+    });
+  }
+});
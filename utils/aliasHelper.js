@@ -0,0 +1,188 @@
+import ExcelHelper from './excelHelper.js';
+import logger from './logger.js';
+
+class AliasHelper {
+  constructor() {
+    this.excelHelper = new ExcelHelper();
+  }
+
+  /**
+   * Load the alias tables of the config, inline tables and tables read from a side workbook
+   * @param {Object} aliasTables - { tableName: { values, filename, sheetName, canonicalHeader, aliasHeader } }
+   * @param {string} dataSheetsDirectory - Directory containing the alias workbooks
+   * @returns {Promise<Object>} - { success, tables: { tableName: Map(lookup key -> canonical value) }, error }
+   */
+  async loadTables(aliasTables = {}, dataSheetsDirectory) {
+    const tables = {};
+    try {
+      for (const [tableName, table] of Object.entries(aliasTables)) {
+        const entries = Object.entries(table.values || {});
+
+        if (table.filename) {
+          const rows = await this.readTableFile(table, dataSheetsDirectory);
+          if (!rows) {
+            return { success: false, error: `Failed to read alias table "${tableName}" from ${table.filename}` };
+          }
+          rows.forEach(row => entries.push([row.canonical, [row.alias]]));
+        }
+
+        tables[tableName] = this.buildLookup(tableName, entries);
+        logger.info(`Loaded alias table "${tableName}" with ${tables[tableName].size} values`);
+      }
+      return { success: true, tables };
+    } catch (err) {
+      logger.error({ err }, `Error loading alias tables: ${err.message}`);
+      return { success: false, error: err.message };
+    }
+  }
+
+  /**
+   * Read the canonical and alias columns of a side workbook, one alias per row
+   */
+  async readTableFile(table, dataSheetsDirectory) {
+    const { canonicalHeader = 'Canonical', aliasHeader = 'Alias', values, ...fileMapping } = table;
+    const result = await this.excelHelper.readExcel({
+      fileMapping: {
+        ...fileMapping,
+        columnConfig: [
+          { columnName: 'canonical', headerName: canonicalHeader },
+          { columnName: 'alias', headerName: aliasHeader }
+        ]
+      },
+      dataSheetsDirectory
+    });
+    return result.success ? result.data.filter(row => row.canonical) : null;
+  }
+
+  /**
+   * Build the lookup of a table, canonical values map to themselves
+   * @param {string} tableName - Table name used in error messages
+   * @param {Array} entries - [canonical, [aliases]]
+   * @returns {Map} - Lookup key -> canonical value
+   */
+  buildLookup(tableName, entries) {
+    const lookup = new Map();
+    const add = (value, canonical) => {
+      const key = this.lookupKey(value);
+      if (!key) return;
+      if (lookup.has(key) && lookup.get(key) !== canonical) {
+        throw new Error(`Alias table "${tableName}": "${value}" maps to both "${lookup.get(key)}" and "${canonical}"`);
+      }
+      lookup.set(key, canonical);
+    };
+
+    for (const [canonical, aliases] of entries) {
+      add(canonical, canonical);
+      aliases.forEach(alias => add(alias, canonical));
+    }
+    return lookup;
+  }
+
+  /**
+   * Aliases are matched ignoring case and repeated whitespace
+   */
+  lookupKey(value) {
+    return String(value).replace(/\s+/g, ' ').trim().toLowerCase();
+  }
+
+  /**
+   * Find the alias table of every column that has one
+   * @param {Array} mapping - Collection mapping entries
+   * @param {Object} tables - Tables returned by loadTables
+   * @returns {Object} - { columnName: Map }
+   */
+  buildColumnAliases(mapping = [], tables = {}) {
+    const columnAliases = {};
+    for (const fileMapping of mapping) {
+      for (const column of fileMapping.columnConfig || []) {
+        if (column.alias && !columnAliases[column.columnName]) {
+          if (!tables[column.alias]) {
+            throw new Error(`Unknown alias table "${column.alias}" for column ${column.columnName}`);
+          }
+          columnAliases[column.columnName] = tables[column.alias];
+        }
+      }
+    }
+    return columnAliases;
+  }
+
+  /**
+   * Replace aliased values with their canonical value
+   * @param {*} value - Value to resolve
+   * @param {Map} lookup - Table lookup
+   * @returns {Object} - { matched, value }, empty values count as matched
+   */
+  resolve(value, lookup) {
+    if (value === undefined || value === null || value === '') {
+      return { matched: true, value };
+    }
+    const key = this.lookupKey(value);
+    return lookup.has(key) ? { matched: true, value: lookup.get(key) } : { matched: false, value };
+  }
+
+  /**
+   * Map the aliased columns of records to their canonical values
+   * @param {Array} records - Records to map
+   * @param {Object} columnAliases - Result of buildColumnAliases
+   * @param {string} source - Where the records come from, used in the unmatched report
+   * @param {Map} unmatched - Collects the values that matched no alias
+   * @returns {Array} - Mapped copies of the records
+   */
+  applyAliases(records, columnAliases = {}, source, unmatched = new Map()) {
+    const columns = Object.keys(columnAliases);
+    if (!columns.length) return records;
+
+    return records.map(record => {
+      const mapped = { ...record };
+      for (const column of columns) {
+        const { matched, value } = this.resolve(record[column], columnAliases[column]);
+        if (matched) {
+          mapped[column] = value;
+        } else {
+          this.addUnmatched(unmatched, column, value, source);
+        }
+      }
+      return mapped;
+    });
+  }
+
+  /**
+   * Record the values of records that matched no alias, without changing the records
+   */
+  collectUnmatched(records, columnAliases = {}, source, unmatched = new Map()) {
+    for (const record of records) {
+      for (const column of Object.keys(columnAliases)) {
+        const { matched, value } = this.resolve(record[column], columnAliases[column]);
+        if (!matched) {
+          this.addUnmatched(unmatched, column, value, source);
+        }
+      }
+    }
+    return unmatched;
+  }
+
+  addUnmatched(unmatched, column, value, source) {
+    const key = `${column}|${source}|${value}`;
+    if (!unmatched.has(key)) {
+      unmatched.set(key, { Column: column, Value: value, Source: source, Count: 0 });
+    }
+    unmatched.get(key).Count++;
+  }
+
+  /**
+   * Compose column normalizers with the alias tables so database values compare against canonical Excel values
+   * @param {Object} normalizers - Result of Normalizer.buildColumnNormalizers
+   * @param {Object} columnAliases - Result of buildColumnAliases
+   * @returns {Object} - { columnName: Function }
+   */
+  withAliases(normalizers = {}, columnAliases = {}) {
+    const combined = { ...normalizers };
+    for (const [column, lookup] of Object.entries(columnAliases)) {
+      const normalize = normalizers[column];
+      combined[column] = value => this.resolve(normalize ? normalize(value) : value, lookup).value;
+    }
+    return combined;
+  }
+}
+
+export default AliasHelper;
@@ -0,0 +1,62 @@
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc.js';
+import customParseFormat from 'dayjs/plugin/customParseFormat.js';
+
+dayjs.extend(utc);
+dayjs.extend(customParseFormat);
+
+class CellHelper {
+
+  /**
+   * Effective value of an ExcelJS cell value: the text of rich text and hyperlink cells, the cached result
+   * of formula and shared formula cells, dates as Date. Formula errors (#N/A, #REF!...) and formulas never
+   * calculated read as empty cells.
+   * @param {*} value - cell.value as returned by ExcelJS
+   * @returns {string|number|boolean|Date|null} - Effective value, null for empty cells
+   */
+  getValue(value) {
+    if (value === undefined || value === null) return null;
+    if (value instanceof Date || typeof value !== 'object') return value;
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+    // Hyperlinks, their text may itself be rich text
+    if ('hyperlink' in value || 'text' in value) return this.getValue(value.text);
+    if ('formula' in value || 'sharedFormula' in value || 'result' in value) return this.getValue(value.result);
+    return null;
+  }
+
+  /**
+   * Write an effective value as text, dates use dateFormat
+   * @param {*} value - Result of getValue
+   * @param {string} dateFormat - dayjs format, see formatDate
+   * @returns {string} - Text, empty for empty cells
+   */
+  toText(value, dateFormat) {
+    if (value === undefined || value === null) return '';
+    if (value instanceof Date) return this.formatDate(value, dateFormat);
+    return String(value);
+  }
+
+  /**
+   * Excel dates have no time zone, ExcelJS reads them as UTC so they are formatted in UTC.
+   * Without format, dates are written YYYY-MM-DD, or YYYY-MM-DDTHH:mm:ss when they have a time.
+   */
+  formatDate(date, format) {
+    if (isNaN(date.getTime())) return '';
+    const value = dayjs.utc(date);
+    if (format) return value.format(format);
+    const hasTime = value.hour() || value.minute() || value.second() || value.millisecond();
+    return value.format(hasTime ? 'YYYY-MM-DDTHH:mm:ss' : 'YYYY-MM-DD');
+  }
+
+  /**
+   * Read a date from a Date or a text, texts are parsed strictly with format when given (e.g. DD/MM/YYYY)
+   * @returns {Date|null} - null when the value is not a valid date
+   */
+  parseDate(value, format) {
+    if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+    const date = format ? dayjs.utc(String(value).trim(), format, true) : dayjs.utc(value);
+    return date.isValid() ? date.toDate() : null;
+  }
+}
+
+export default CellHelper;
@@ -0,0 +1,249 @@
+const COMMANDS = {
+  compare: 'Extract the mapped files, generate duplicate reports and compare them with the database (default)',
+  'validate-config': 'Check the config against its schema and report every problem',
+  history: 'Show how the report counts changed over past runs (--diff lists the keys that changed)',
+  export: 'Write the database records in the layout of a collection mapping (--workbook updates a copy of a source workbook, written next to the exports)'
+};
+
+const OPTIONS = {
+  collection: { type: 'string', multiple: true, description: 'Only process the named collection (repeatable)' },
+  config: { type: 'string', description: 'Path to the config module (default: ./config.js)' },
+  'data-dir': { type: 'string', description: 'Directory containing the source files (overrides dataSheetsDirectory)' },
+  'out-dir': { type: 'string', description: 'Directory the reports are written to (default: ./Reports)' },
+  'no-db': { type: 'boolean', description: 'Skip the database comparison, only generate duplicate reports' },
+  html: { type: 'boolean', description: 'Also write a self-contained HTML report per collection' },
+  'dry-run': { type: 'boolean', description: 'Run every step but do not write any report files (with --apply, print the planned operations)' },
+  apply: { type: 'boolean', description: 'Write the comparison result back to the database' },
+  script: { type: 'boolean', description: 'Write a migration script (mongosh or SQL) and its rollback script instead of changing the database' },
+  'apply-actions': { type: 'string', description: 'Comma separated actions used by --apply and --script: add, update, delete (default: add,update)' },
+  diff: { type: 'boolean', description: 'history: list keys that appeared or got resolved since the previous run' },
+  from: { type: 'string', description: 'history: run id (or unique prefix) to diff from, default the run before --to' },
+  to: { type: 'string', description: 'history: run id (or unique prefix) to diff to, default the latest run' },
+  limit: { type: 'string', description: 'history: only show the last <n> runs' },
+  concurrency: { type: 'string', description: 'Number of collections processed at the same time (default: config concurrency, or 1)' },
+  param: { type: 'string', multiple: true, description: 'Set a dbQuery parameter as name=value (repeatable)' },
+  mapping: { type: 'string', description: 'export: filename of the mapping whose layout is used (default: the first mapping)' },
+  workbook: { type: 'string', description: 'export: source workbook to copy and update instead of writing a new one, the file itself is left unchanged' },
+  help: { type: 'boolean', description: 'Show this help' }
+};
+
+class CliHelper {
+
+  /**
+   * Parse command line arguments into a command and an options object
+   * @param {Array} argv - Arguments without the node binary and script path
+   * @returns {Object} - { command, options, errors }
+   */
+  parse(argv = []) {
+    const options = {};
+    const errors = [];
+    let command = null;
+
+    for (let index = 0; index < argv.length; index++) {
+      const arg = argv[index];
+
+      if (!arg.startsWith('--')) {
+        if (command) {
+          errors.push(`Unexpected argument: ${arg}`);
+        } else if (!COMMANDS[arg]) {
+          errors.push(`Unknown command: ${arg}`);
+        } else {
+          command = arg;
+        }
+        continue;
+      }
+
+      const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+      const option = OPTIONS[name];
+      if (!option) {
+        errors.push(`Unknown option: --${name}`);
+        continue;
+      }
+
+      const key = this.toCamelCase(name);
+      if (option.type === 'boolean') {
+        if (inlineValue !== undefined) {
+          errors.push(`Option --${name} does not take a value`);
+          continue;
+        }
+        options[key] = true;
+        continue;
+      }
+
+      let value = inlineValue;
+      if (value === undefined) {
+        value = argv[index + 1];
+        if (value === undefined || value.startsWith('--')) {
+          errors.push(`Option --${name} requires a value`);
+          continue;
+        }
+        index++;
+      }
+
+      if (option.multiple) {
+        options[key] = (options[key] || []).concat(value);
+      } else {
+        options[key] = value;
+      }
+    }
+
+    return { command: command || 'compare', options, errors };
+  }
+
+  /**
+   * Parse the --param name=value options into dbQuery parameters
+   * @param {Array} params - Values given on the command line
+   * @param {Array} collections - Selected collections, every name must be declared by one of their dbQuery.params
+   * @returns {Object} - { queryParams: name -> value, error }, error when a value is malformed or a name unknown
+   */
+  parseQueryParams(params = [], collections = []) {
+    const declared = new Set(collections.flatMap(({ dbQuery }) => Object.keys((dbQuery && dbQuery.params) || {})));
+    const queryParams = {};
+    for (const param of params) {
+      const [name, value] = param.split(/=(.*)/s);
+      if (!name || value === undefined) {
+        return { queryParams: null, error: `Invalid --param: ${param}. Expected name=value` };
+      }
+      if (!declared.has(name)) {
+        const hint = declared.size ? `Declared by the selected collections: ${[...declared].join(', ')}` : 'The selected collections declare no dbQuery params';
+        return { queryParams: null, error: `Unknown --param: ${name}. ${hint}` };
+      }
+      queryParams[name] = value;
+    }
+    return { queryParams };
+  }
+
+  /**
+   * Build the usage text shown for --help and argument errors
+   * @returns {string} - Usage text
+   */
+  getUsage() {
+    const commandLines = Object.entries(COMMANDS).map(([name, description]) => `  ${name.padEnd(18)}${description}`);
+    const optionLines = Object.entries(OPTIONS).map(([name, option]) => {
+      const flag = option.type === 'boolean' ? `--${name}` : `--${name} <value>`;
+      return `  ${flag.padEnd(24)}${option.description}`;
+    });
+
+    return [
+      'Usage: node index.js [command] [options]',
+      '',
+      'Commands:',
+      ...commandLines,
+      '',
+      'Options:',
+      ...optionLines
+    ].join('\n');
+  }
+
+  /**
+   * Format the per-collection result of a run as a single summary line
+   * @param {Object} result - Result returned by DataComparer.generateReport
+   * @returns {string} - Summary line
+   */
+  formatSummary(result) {
+    const { collectionName, summary = {} } = result;
+    if (!result.success) {
+      return `${collectionName}: FAILED${result.error ? ` (${result.error})` : ''}`;
+    }
+
+    const parts = [
+      `extracted ${summary.extractedCount}`,
+      `unique ${summary.uniqueCount}`,
+      `duplicates ${summary.duplicateCount}`
+    ];
+    if (summary.filteredCount) {
+      const perFilter = Object.entries(summary.filteredCounts).map(([name, count]) => `${name}: ${count}`).join(', ');
+      parts.push(`filtered ${summary.filteredCount} (${perFilter})`);
+    }
+    if (summary.conflictCount) {
+      parts.push(`source conflicts ${summary.conflictCount}`);
+    }
+    if (summary.validationErrorCount) {
+      parts.push(`validation errors ${summary.validationErrorCount}${summary.excludedInvalidCount ? ` (${summary.excludedInvalidCount} rows excluded)` : ''}`);
+    }
+    if (summary.comparison) {
+      const { comparison } = summary;
+      parts.push(
+        `db ${comparison.dbCount}`,
+        `add ${comparison.addCount}`,
+        `delete ${comparison.deleteCount}`,
+        `possible match ${comparison.possibleMatchCount}`,
+        `update ${comparison.updateCount}`,
+        `match ${comparison.exactMatchCount}`
+      );
+    } else {
+      parts.push('db comparison skipped');
+    }
+    if (summary.unmatchedAliasCount) {
+      parts.push(`unmatched aliases ${summary.unmatchedAliasCount}`);
+    }
+
+    let line = `${collectionName}: ${parts.join(', ')}`;
+    const scripts = summary.comparison && summary.comparison.scripts;
+    if (scripts) {
+      line += ` | scripts: ${scripts.operationCount} operations${scripts.migrationPath ? ` in ${scripts.migrationPath}` : ' (dry run, not written)'}`;
+      if (scripts.skippedCount) {
+        line += `, ${scripts.skippedCount} possible matches left out`;
+      }
+    }
+    const apply = summary.comparison && summary.comparison.apply;
+    if (apply) {
+      line += apply.dryRun
+        ? ` | apply (dry run): ${apply.plannedCount} operations planned`
+        : ` | applied${apply.transaction ? ' in transaction' : ''}: inserted ${apply.insertedCount}, updated ${apply.updatedCount}, deleted ${apply.deletedCount}`;
+      if (apply.skippedCount) {
+        line += `, ${apply.skippedCount} possible matches skipped`;
+      }
+    }
+
+    return line;
+  }
+
+  /**
+   * Format the per-collection result of an export as a single summary line
+   * @param {Object} result - Result returned by DataComparer.exportCollection
+   * @returns {string} - Summary line
+   */
+  formatExportSummary(result) {
+    const { collectionName, summary = {} } = result;
+    if (!result.success) {
+      return `${collectionName}: FAILED${result.error ? ` (${result.error})` : ''}`;
+    }
+
+    const parts = [`exported ${summary.exportedCount}`];
+    if (summary.changedCellCount !== undefined) {
+      parts.push(
+        `rows updated ${summary.updatedRowCount}`,
+        `cells changed ${summary.changedCellCount}`,
+        `rows appended ${summary.appendedCount}`,
+        `keys not in db ${summary.notInDbCount}`
+      );
+    }
+    return `${collectionName}: ${parts.join(', ')}${result.filePath ? ` -> ${result.filePath}` : ''}`;
+  }
+
+  /**
+   * Format a planned database operation for the dry-run listing
+   * @param {string} collectionName - Name of the collection
+   * @param {Object} operation - Operation built by DataComparer.buildSyncOperations
+   * @returns {string} - Operation line
+   */
+  formatOperation(collectionName, operation) {
+    switch (operation.action) {
+      case 'ADD':
+        return `ADD    ${collectionName} ${JSON.stringify(operation.document)}`;
+      case 'UPDATE':
+        return `UPDATE ${collectionName} ${JSON.stringify(operation.filter)} $set ${JSON.stringify(operation.changes)}`;
+      case 'DELETE':
+        return `DELETE ${collectionName} ${JSON.stringify(operation.filter)}`;
+      default:
+        return `${operation.action} ${collectionName} ${JSON.stringify(operation)}`;
+    }
+  }
+
+  toCamelCase(name) {
+    return name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+  }
+}
+
+export default CliHelper;
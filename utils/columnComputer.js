@@ -0,0 +1,84 @@
+import CellHelper from './cellHelper.js';
+
+// Computations of a columnConfig compute entry, each reads one or more other columns of the row
+const COMPUTE_TYPES = ['template', 'split', 'regex', 'lookup'];
+
+class ColumnComputer {
+  constructor() {
+    this.cellHelper = new CellHelper();
+  }
+
+  /**
+   * Compile the compute entry of a column:
+   * { template: '{ManufacturerName} {ScopeModel}' } joins columns into a text,
+   * { split: { column, separator, index } } takes one part of a column, a negative index counts from the end,
+   * { regex: { column, pattern, flags, group } } takes a capture group (number or name, default 1) of a column,
+   * { lookup: { column, values, default } } maps the value of a column through values, keys ignore case.
+   * A computation reading only empty values gives an empty text.
+   * @param {Object} compute - compute entry of a column
+   * @returns {Function} - (row: name => text) => computed text
+   */
+  compile(compute) {
+    const type = COMPUTE_TYPES.find(name => compute[name] !== undefined);
+    switch (type) {
+      case 'template': {
+        const template = compute.template;
+        return row => {
+          let hasValue = false;
+          const text = template.replace(/\{([^{}]+)\}/g, (match, name) => {
+            const value = row(name.trim());
+            if (value) hasValue = true;
+            return value;
+          });
+          return hasValue ? text.replace(/\s+/g, ' ').trim() : '';
+        };
+      }
+      case 'split': {
+        const { column, separator = ',', index = 0, trim = true } = compute.split;
+        return row => {
+          const value = row(column);
+          if (!value) return '';
+          const parts = value.split(separator);
+          const part = parts[index < 0 ? parts.length + index : index];
+          if (part === undefined) return '';
+          return trim ? part.trim() : part;
+        };
+      }
+      case 'regex': {
+        const { column, pattern, flags, group = 1 } = compute.regex;
+        const regExp = new RegExp(pattern, flags);
+        return row => {
+          const match = row(column).match(regExp);
+          if (!match) return '';
+          const captured = typeof group === 'string' ? match.groups && match.groups[group] : match[group];
+          return captured === undefined ? '' : captured;
+        };
+      }
+      case 'lookup': {
+        const { column, values, default: fallback } = compute.lookup;
+        const table = new Map(Object.entries(values).map(([key, value]) => [key.toLowerCase(), value]));
+        return row => {
+          const value = row(column);
+          if (table.has(value.toLowerCase())) return this.cellHelper.toText(table.get(value.toLowerCase()));
+          return fallback === undefined ? '' : this.cellHelper.toText(fallback);
+        };
+      }
+      default:
+        throw new Error(`Unknown compute type, use one of ${COMPUTE_TYPES.join(', ')}`);
+    }
+  }
+
+  /**
+   * Columns a compute entry reads
+   * @returns {Array} - Column names
+   */
+  getSourceColumns(compute) {
+    if (typeof compute.template === 'string') {
+      return [...compute.template.matchAll(/\{([^{}]+)\}/g)].map(match => match[1].trim());
+    }
+    const type = COMPUTE_TYPES.find(name => compute[name] !== undefined);
+    return type && compute[type] && compute[type].column ? [compute[type].column] : [];
+  }
+}
+
+export default ColumnComputer;
@@ -0,0 +1,97 @@
+import CellHelper from './cellHelper.js';
+
+class ColumnValidator {
+  constructor() {
+    this.cellHelper = new CellHelper();
+  }
+
+  /**
+   * Create the validator of a mapping. It keeps the values seen by unique columns, so one validator checks one file.
+   * Besides the rules of columnConfig validate, texts that are not a number or a date fail their dataType.
+   * @param {Array} columnConfig - Column configuration, validate is { required, pattern, flags, allowedValues, min, max, maxLength, unique }
+   * @returns {Object} - { validate(rowData, texts, rowNumber) } returning [{ column, rule, value, message }]
+   */
+  createRowValidator(columnConfig) {
+    const columns = columnConfig.map(column => ({
+      column,
+      rules: column.validate || {},
+      pattern: column.validate && column.validate.pattern ? new RegExp(column.validate.pattern, column.validate.flags) : null,
+      // lower-cased value -> first row number
+      seen: new Map()
+    }));
+
+    return {
+      validate: (rowData, texts, rowNumber) => {
+        const errors = [];
+        for (const { column, rules, pattern, seen } of columns) {
+          const value = rowData[column.columnName];
+          const text = texts[column.columnName];
+          const addError = (rule, message) => errors.push({ column: column.columnName, rule, value: text === undefined ? value : text, message });
+
+          // A text that failed its conversion leaves an empty value, it is reported by the dataType check
+          if (this.isEmpty(value) && this.isEmpty(text)) {
+            if (rules.required) addError('required', 'value is required');
+            continue;
+          }
+
+          const typeError = this.checkDataType(column, text);
+          if (typeError) {
+            addError('dataType', typeError);
+            continue;
+          }
+
+          const stringValue = value instanceof Date ? value.toISOString() : String(value);
+          if (pattern && !pattern.test(stringValue)) {
+            addError('pattern', `does not match ${rules.pattern}`);
+          }
+          if (rules.allowedValues && !rules.allowedValues.some(allowed => String(allowed).toLowerCase() === stringValue.toLowerCase())) {
+            addError('allowedValues', `is not one of ${rules.allowedValues.join(', ')}`);
+          }
+          if (rules.min !== undefined || rules.max !== undefined) {
+            const number = typeof value === 'number' ? value : Number(stringValue);
+            if (isNaN(number)) {
+              addError('range', 'is not a number');
+            } else if (rules.min !== undefined && number < rules.min) {
+              addError('min', `is less than ${rules.min}`);
+            } else if (rules.max !== undefined && number > rules.max) {
+              addError('max', `is greater than ${rules.max}`);
+            }
+          }
+          if (rules.maxLength !== undefined && stringValue.length > rules.maxLength) {
+            addError('maxLength', `is longer than ${rules.maxLength} characters`);
+          }
+          if (rules.unique) {
+            const key = stringValue.toLowerCase();
+            if (seen.has(key)) {
+              addError('unique', `duplicates row ${seen.get(key)}`);
+            } else {
+              seen.set(key, rowNumber);
+            }
+          }
+        }
+        return errors;
+      }
+    };
+  }
+
+  isEmpty(value) {
+    return value === undefined || value === null || value === '';
+  }
+
+  /**
+   * Check the text read from the cell can be converted to the dataType of the column
+   * @returns {string|null} - Error message, null when valid
+   */
+  checkDataType(column, text) {
+    if (this.isEmpty(text)) return null;
+    if (column.dataType === 'number' && isNaN(Number(text))) {
+      return 'is not a number';
+    }
+    if (column.dataType === 'date' && !this.cellHelper.parseDate(text, column.dateFormat)) {
+      return column.dateFormat ? `is not a date in format ${column.dateFormat}` : 'is not a date';
+    }
+    return null;
+  }
+}
+
+export default ColumnValidator;
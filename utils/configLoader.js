@@ -0,0 +1,30 @@
+import fse from 'fs-extra';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const defaultConfigPath = fileURLToPath(new URL('../config.js', import.meta.url));
+
+class ConfigLoader {
+
+  /**
+   * Load a config module and return its default export
+   * @param {string} configPath - Path to the config module, relative to the working directory
+   * @returns {Promise<Object>} - Loaded configuration
+   */
+  async load(configPath) {
+    const resolvedPath = configPath ? path.resolve(configPath) : defaultConfigPath;
+
+    if (!await fse.pathExists(resolvedPath)) {
+      throw new Error(`Config file not found: ${resolvedPath}`);
+    }
+
+    const configModule = await import(pathToFileURL(resolvedPath).href);
+    if (!configModule.default) {
+      throw new Error(`Config file ${resolvedPath} has no default export`);
+    }
+
+    return configModule.default;
+  }
+}
+
+export default ConfigLoader;
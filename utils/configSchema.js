@@ -0,0 +1,399 @@
+// JSON Schema for config.js, checked by ConfigValidator before any work starts
+const stringList = {
+  type: 'array',
+  items: { type: 'string', minLength: 1 }
+};
+
+const normalizeRuleSchema = {
+  anyOf: [
+    { enum: ['trim', 'collapseWhitespace', 'normalizeDashes', 'stripPunctuation', 'lower', 'upper', 'number'] },
+    {
+      type: 'object',
+      required: ['type', 'pattern'],
+      additionalProperties: false,
+      properties: {
+        type: { enum: ['replace'] },
+        pattern: { type: 'string', minLength: 1 },
+        replacement: { type: 'string' },
+        flags: { type: 'string' }
+      }
+    }
+  ]
+};
+
+// Rules checked on every extracted value, see ColumnValidator
+const validateSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    required: { type: 'boolean' },
+    pattern: { type: 'string', minLength: 1 },
+    flags: { type: 'string', pattern: '^[imsu]*$' },
+    allowedValues: { type: 'array', minItems: 1 },
+    min: { type: 'number' },
+    max: { type: 'number' },
+    maxLength: { type: 'integer', minimum: 1 },
+    unique: { type: 'boolean' }
+  }
+};
+
+// Operators comparing one column of a record, see RowFilter
+const rowOperatorSchema = {
+  type: 'object',
+  minProperties: 1,
+  additionalProperties: false,
+  properties: {
+    eq: {},
+    ne: {},
+    in: { type: 'array' },
+    nin: { type: 'array' },
+    gt: { type: ['number', 'string'] },
+    gte: { type: ['number', 'string'] },
+    lt: { type: ['number', 'string'] },
+    lte: { type: ['number', 'string'] },
+    contains: { anyOf: [{ type: 'string' }, stringList] },
+    notContains: { anyOf: [{ type: 'string' }, stringList] },
+    matches: { type: 'string', minLength: 1 },
+    notMatches: { type: 'string', minLength: 1 },
+    flags: { type: 'string', pattern: '^[imsu]*$' },
+    empty: { type: 'boolean' }
+  }
+};
+
+// and/or/not group conditions, any other key is a column compared to a value or to operators
+const rowConditionSchema = {
+  type: 'object',
+  minProperties: 1,
+  properties: {
+    and: { type: 'array', minItems: 1, items: { $ref: '#/definitions/rowCondition' } },
+    or: { type: 'array', minItems: 1, items: { $ref: '#/definitions/rowCondition' } },
+    not: { $ref: '#/definitions/rowCondition' }
+  },
+  additionalProperties: {
+    anyOf: [{ type: ['string', 'number', 'boolean', 'null'] }, rowOperatorSchema]
+  }
+};
+
+// Rows kept by include and removed by exclude, name labels the removed rows count in the summary
+const rowFiltersSchema = {
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['name'],
+    additionalProperties: false,
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      include: { $ref: '#/definitions/rowCondition' },
+      exclude: { $ref: '#/definitions/rowCondition' }
+    },
+    anyOf: [{ required: ['include'] }, { required: ['exclude'] }]
+  }
+};
+
+// Value built from other columns of the row, see ColumnComputer
+const columnName = { type: 'string', minLength: 1 };
+const computeSchema = {
+  oneOf: [
+    {
+      type: 'object',
+      required: ['template'],
+      additionalProperties: false,
+      // Column names in braces, e.g. '{ManufacturerName} {ScopeModel}'
+      properties: { template: { type: 'string', pattern: '\\{[^{}]+\\}' } }
+    },
+    {
+      type: 'object',
+      required: ['split'],
+      additionalProperties: false,
+      properties: {
+        split: {
+          type: 'object',
+          required: ['column'],
+          additionalProperties: false,
+          properties: {
+            column: columnName,
+            separator: { type: 'string', minLength: 1 },
+            index: { type: 'integer' },
+            trim: { type: 'boolean' }
+          }
+        }
+      }
+    },
+    {
+      type: 'object',
+      required: ['regex'],
+      additionalProperties: false,
+      properties: {
+        regex: {
+          type: 'object',
+          required: ['column', 'pattern'],
+          additionalProperties: false,
+          properties: {
+            column: columnName,
+            pattern: { type: 'string', minLength: 1 },
+            flags: { type: 'string', pattern: '^[imsu]*$' },
+            group: { type: ['integer', 'string'], minimum: 0, minLength: 1 }
+          }
+        }
+      }
+    },
+    {
+      type: 'object',
+      required: ['lookup'],
+      additionalProperties: false,
+      properties: {
+        lookup: {
+          type: 'object',
+          required: ['column', 'values'],
+          additionalProperties: false,
+          properties: {
+            column: columnName,
+            values: { type: 'object', additionalProperties: { type: ['string', 'number', 'boolean'] } },
+            default: { type: ['string', 'number', 'boolean'] }
+          }
+        }
+      }
+    }
+  ]
+};
+
+// How a column is compared between Excel and the database, a comparator name or { type, ...options }
+const compareSchema = {
+  oneOf: [
+    { enum: ['string', 'number', 'date', 'set', 'ignore'] },
+    {
+      type: 'object',
+      required: ['type'],
+      additionalProperties: false,
+      properties: { type: { const: 'string' }, caseSensitive: { type: 'boolean' } }
+    },
+    {
+      type: 'object',
+      required: ['type'],
+      additionalProperties: false,
+      properties: { type: { const: 'number' }, tolerance: { type: 'number', minimum: 0 } }
+    },
+    {
+      type: 'object',
+      required: ['type'],
+      additionalProperties: false,
+      properties: { type: { const: 'date' }, precision: { enum: ['day', 'time'] } }
+    },
+    {
+      type: 'object',
+      required: ['type'],
+      additionalProperties: false,
+      properties: { type: { const: 'set' }, separator: { type: 'string', minLength: 1 }, ordered: { type: 'boolean' } }
+    },
+    {
+      type: 'object',
+      required: ['type'],
+      additionalProperties: false,
+      properties: { type: { const: 'ignore' } }
+    }
+  ]
+};
+
+const columnConfigSchema = {
+  type: 'object',
+  required: ['columnName'],
+  additionalProperties: false,
+  properties: {
+    columnName: { type: 'string', minLength: 1 },
+    headerName: { type: 'string', minLength: 1 },
+    // Other header texts of the same column, e.g. before a header was renamed
+    headerAliases: { type: 'array', items: { type: 'string', minLength: 1 } },
+    // required: true fails the sheet when the column is not found, other missing columns are logged and left out
+    required: { type: 'boolean' },
+    columnIndex: { type: 'integer', minimum: 1 },
+    defaultValue: {},
+    dataType: { enum: ['string', 'number', 'boolean', 'date'] },
+    // dayjs format of date cells read as text, and of date texts parsed for dataType date
+    dateFormat: { type: 'string', minLength: 1 },
+    normalize: { type: 'array', items: normalizeRuleSchema },
+    alias: { type: 'string', minLength: 1 },
+    // Computed columns have no headerName or columnIndex, they are evaluated after the columns read from the sheet
+    compute: computeSchema,
+    validate: validateSchema,
+    compare: compareSchema
+  }
+};
+
+// Values of a dbQuery filter may be a { param: name } placeholder
+const queryValueSchema = {
+  anyOf: [
+    { type: ['string', 'number', 'boolean', 'null'] },
+    { type: 'object', required: ['param'], additionalProperties: false, properties: { param: { type: 'string', minLength: 1 } } },
+    { type: 'array' }
+  ]
+};
+
+const dbQuerySchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    params: { type: 'object' },
+    filter: {
+      type: 'object',
+      additionalProperties: {
+        anyOf: [
+          queryValueSchema,
+          {
+            type: 'object',
+            minProperties: 1,
+            additionalProperties: false,
+            properties: {
+              eq: queryValueSchema,
+              ne: queryValueSchema,
+              in: queryValueSchema,
+              nin: queryValueSchema,
+              gt: queryValueSchema,
+              gte: queryValueSchema,
+              lt: queryValueSchema,
+              lte: queryValueSchema,
+              contains: queryValueSchema,
+              notContains: queryValueSchema,
+              exists: { type: 'boolean' }
+            }
+          }
+        ]
+      }
+    },
+    join: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['from', 'localField', 'foreignField', 'as'],
+        additionalProperties: false,
+        properties: {
+          from: { type: 'string', minLength: 1 },
+          localField: { type: 'string', minLength: 1 },
+          foreignField: { type: 'string', minLength: 1 },
+          as: { type: 'string', minLength: 1, pattern: '^[^.]+$' },
+          required: { type: 'boolean' },
+          rowId: { type: 'string', minLength: 1 }
+        }
+      }
+    },
+    fields: {
+      anyOf: [
+        { ...stringList, minItems: 1 },
+        { type: 'object', minProperties: 1, additionalProperties: { type: 'string', minLength: 1 } }
+      ]
+    },
+    includeId: { type: 'boolean' },
+    rowId: { type: 'string', minLength: 1 }
+  }
+};
+
+const mappingSchema = {
+  type: 'object',
+  required: ['filename', 'columnConfig'],
+  additionalProperties: false,
+  properties: {
+    // May contain *, ? and [...] wildcards, latest picks among the matching files
+    filename: { type: 'string', minLength: 1 },
+    latest: { enum: ['revision', 'modified'] },
+    format: { enum: ['xlsx', 'csv', 'tsv', 'json', 'ndjson'] },
+    delimiter: { type: 'string', minLength: 1 },
+    sheetName: { type: 'string', minLength: 1 },
+    // First header row, detected among the first headerScanRows rows when missing
+    headerIndex: { type: 'integer', minimum: 1 },
+    // Header rows read together, e.g. 2 for group headers merged above the column headers
+    headerRows: { type: 'integer', minimum: 1 },
+    headerScanRows: { type: 'integer', minimum: 1 },
+    recordHeader: { type: 'string' },
+    // Applied after the rowFilters of the collection
+    rowFilters: rowFiltersSchema,
+    columnConfig: { type: 'array', minItems: 1, items: columnConfigSchema }
+  }
+};
+
+const collectionSchema = {
+  type: 'object',
+  required: ['collectionName', 'excelCompositeUniqueKeys', 'mapping'],
+  additionalProperties: false,
+  properties: {
+    collectionName: { type: 'string', minLength: 1 },
+    excelCompositeUniqueKeys: { ...stringList, minItems: 1 },
+    dataCompareKey: stringList,
+    exactFieldMatch: stringList,
+    // Compare every mapped column instead of the exactFieldMatch columns
+    compareAllFields: { type: 'boolean' },
+    sourcePrecedence: stringList,
+    // Leave the rows breaking a validate rule out of the duplicate and database comparison
+    excludeInvalidRows: { type: 'boolean' },
+    dbQuery: dbQuerySchema,
+    rowFilters: rowFiltersSchema,
+    // Deprecated, same as a rowFilters exclude with the in operator
+    excludeRecord: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['columnName', 'values'],
+        additionalProperties: false,
+        properties: {
+          columnName: { type: 'string', minLength: 1 },
+          values: { type: 'array' }
+        }
+      }
+    },
+    possibleMatch: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        fields: { ...stringList, minItems: 1 },
+        threshold: { type: 'number', exclusiveMinimum: 0, maximum: 1 },
+        ignoreCase: { type: 'boolean' },
+        ignorePunctuation: { type: 'boolean' },
+        ignoreTokenOrder: { type: 'boolean' }
+      }
+    },
+    mapping: { type: 'array', minItems: 1, items: mappingSchema }
+  }
+};
+
+// Inline values ({ canonical: [aliases] }) and/or a side workbook with one alias per row
+const aliasTableSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    values: { type: 'object', additionalProperties: stringList },
+    filename: { type: 'string', minLength: 1 },
+    format: { enum: ['xlsx', 'csv', 'tsv', 'json', 'ndjson'] },
+    delimiter: { type: 'string', minLength: 1 },
+    sheetName: { type: 'string', minLength: 1 },
+    headerIndex: { type: 'integer', minimum: 1 },
+    canonicalHeader: { type: 'string', minLength: 1 },
+    aliasHeader: { type: 'string', minLength: 1 }
+  },
+  anyOf: [{ required: ['values'] }, { required: ['filename'] }]
+};
+
+export default {
+  type: 'object',
+  required: ['dbConfig', 'collectionConfig'],
+  additionalProperties: false,
+  definitions: {
+    rowCondition: rowConditionSchema
+  },
+  properties: {
+    dbConfig: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        sql: { type: 'boolean' },
+        sqlClient: { enum: ['sqlite', 'postgres'] },
+        filename: { type: 'string', minLength: 1 },
+        uri: { type: 'string', minLength: 1 },
+        username: { type: 'string' },
+        password: { type: 'string' }
+      }
+    },
+    dataSheetsDirectory: { type: 'string', minLength: 1 },
+    // Collections processed at the same time, they share the database connection
+    concurrency: { type: 'integer', minimum: 1 },
+    aliasTables: { type: 'object', additionalProperties: aliasTableSchema },
+    collectionConfig: { type: 'array', minItems: 1, items: collectionSchema }
+  }
+};
@@ -0,0 +1,312 @@
+import Ajv from 'ajv';
+import configSchema from './configSchema.js';
+import ExcelHelper from './excelHelper.js';
+import Normalizer from './normalizer.js';
+import RowFilter from './rowFilter.js';
+import ColumnComputer from './columnComputer.js';
+
+class ConfigValidator {
+  constructor() {
+    this.ajv = new Ajv({ allErrors: true, strict: false });
+    this.validateSchema = this.ajv.compile(configSchema);
+    this.excelHelper = new ExcelHelper();
+    this.normalizer = new Normalizer();
+    this.rowFilter = new RowFilter();
+    this.columnComputer = new ColumnComputer();
+  }
+
+  /**
+   * Validate a config against the schema and the cross-field rules
+   * @param {Object} config - Loaded configuration
+   * @returns {Object} - { valid, errors: [{ path, message }] }
+   */
+  validate(config) {
+    const errors = [];
+
+    if (!this.validateSchema(config)) {
+      errors.push(...this.validateSchema.errors.map(error => this.formatSchemaError(error)));
+    }
+
+    // Cross-field rules assume the basic shape is right, skip them for collections the schema already rejected
+    if (config && Array.isArray(config.collectionConfig)) {
+      errors.push(...this.checkCollectionNames(config.collectionConfig));
+      config.collectionConfig.forEach((collection, index) => {
+        if (collection && Array.isArray(collection.mapping)) {
+          errors.push(...this.checkCollection(collection, `collectionConfig[${index}]`, config.aliasTables || {}));
+        }
+      });
+    }
+
+    if (config && config.dbConfig) {
+      errors.push(...this.checkDbConfig(config.dbConfig));
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  checkCollectionNames(collections) {
+    const errors = [];
+    const seen = new Map();
+    collections.forEach((collection, index) => {
+      const name = collection && collection.collectionName;
+      if (!name) return;
+      if (seen.has(name)) {
+        errors.push({ path: `collectionConfig[${index}].collectionName`, message: `duplicate collection "${name}", already configured at collectionConfig[${seen.get(name)}]` });
+      } else {
+        seen.set(name, index);
+      }
+    });
+    return errors;
+  }
+
+  /**
+   * Check that every field referenced by a collection is produced by its columnConfig
+   */
+  checkCollection(collection, collectionPath, aliasTables) {
+    const errors = [];
+    const mappedColumns = new Set();
+
+    collection.mapping.forEach((fileMapping, mappingIndex) => {
+      if (!fileMapping || !Array.isArray(fileMapping.columnConfig)) return;
+      const mappingColumns = new Set();
+
+      if (typeof fileMapping.filename === 'string' && !fileMapping.format && !this.excelHelper.getFormat(fileMapping)) {
+        errors.push({ path: `${collectionPath}.mapping[${mappingIndex}].filename`, message: `cannot detect the format of "${fileMapping.filename}", set "format"` });
+      }
+
+      fileMapping.columnConfig.forEach((column, columnIndex) => {
+        if (!column || !column.columnName) return;
+        const columnPath = `${collectionPath}.mapping[${mappingIndex}].columnConfig[${columnIndex}]`;
+
+        if (mappingColumns.has(column.columnName)) {
+          errors.push({ path: `${columnPath}.columnName`, message: `column "${column.columnName}" is defined more than once in this mapping` });
+        }
+        if (!column.headerName && column.columnIndex === undefined && column.defaultValue === undefined && !column.compute) {
+          errors.push({ path: columnPath, message: `column "${column.columnName}" needs a headerName, a columnIndex, a compute or a defaultValue` });
+        }
+        if (column.compute && (column.headerName || column.columnIndex !== undefined)) {
+          errors.push({ path: `${columnPath}.compute`, message: `computed column "${column.columnName}" cannot also have a headerName or a columnIndex` });
+        }
+        errors.push(...this.checkNormalizeRules(column.normalize, `${columnPath}.normalize`));
+        errors.push(...this.checkValidateRules(column.validate, `${columnPath}.validate`));
+        if (typeof column.alias === 'string' && !Object.prototype.hasOwnProperty.call(aliasTables, column.alias)) {
+          errors.push({ path: `${columnPath}.alias`, message: `alias table "${column.alias}" is not defined in aliasTables` });
+        }
+
+        mappingColumns.add(column.columnName);
+        mappedColumns.add(column.columnName);
+      });
+
+      errors.push(...this.checkComputedColumns(fileMapping.columnConfig, `${collectionPath}.mapping[${mappingIndex}].columnConfig`));
+      errors.push(...this.checkRowFilters(fileMapping.rowFilters, `${collectionPath}.mapping[${mappingIndex}].rowFilters`, mappingColumns));
+    });
+
+    const fieldReferences = [
+      ['excelCompositeUniqueKeys', collection.excelCompositeUniqueKeys],
+      ['dataCompareKey', collection.dataCompareKey],
+      ['exactFieldMatch', collection.exactFieldMatch],
+      ['possibleMatch.fields', collection.possibleMatch && collection.possibleMatch.fields]
+    ];
+    fieldReferences.forEach(([property, fields]) => {
+      if (!Array.isArray(fields)) return;
+      fields.forEach((field, index) => {
+        if (typeof field === 'string' && !mappedColumns.has(field)) {
+          errors.push({ path: `${collectionPath}.${property}[${index}]`, message: `field "${field}" is not produced by any columnConfig` });
+        }
+      });
+    });
+
+    if (Array.isArray(collection.sourcePrecedence)) {
+      const filenames = collection.mapping.map(fileMapping => fileMapping && fileMapping.filename);
+      collection.sourcePrecedence.forEach((filename, index) => {
+        if (typeof filename === 'string' && !filenames.includes(filename)) {
+          errors.push({ path: `${collectionPath}.sourcePrecedence[${index}]`, message: `"${filename}" is not the filename of any mapping` });
+        }
+      });
+    }
+
+    if (collection.dbQuery && typeof collection.dbQuery === 'object') {
+      errors.push(...this.checkQueryParams(collection.dbQuery, `${collectionPath}.dbQuery`));
+    }
+
+    if (Array.isArray(collection.excludeRecord)) {
+      collection.excludeRecord.forEach((exclude, index) => {
+        if (exclude && typeof exclude.columnName === 'string' && !mappedColumns.has(exclude.columnName)) {
+          errors.push({ path: `${collectionPath}.excludeRecord[${index}].columnName`, message: `field "${exclude.columnName}" is not produced by any columnConfig` });
+        }
+      });
+    }
+    errors.push(...this.checkRowFilters(collection.rowFilters, `${collectionPath}.rowFilters`, mappedColumns));
+
+    return errors;
+  }
+
+  /**
+   * Check that every { param } placeholder of a query filter is declared in its params
+   */
+  checkQueryParams(dbQuery, queryPath) {
+    const errors = [];
+    const declared = dbQuery.params && typeof dbQuery.params === 'object' ? dbQuery.params : {};
+    const visit = (value, valuePath) => {
+      if (Array.isArray(value)) {
+        value.forEach((item, index) => visit(item, `${valuePath}[${index}]`));
+      } else if (value && typeof value === 'object') {
+        if (typeof value.param === 'string' && !Object.prototype.hasOwnProperty.call(declared, value.param)) {
+          errors.push({ path: valuePath, message: `parameter "${value.param}" is not declared in dbQuery.params` });
+        }
+        Object.entries(value).forEach(([key, item]) => key !== 'param' && visit(item, `${valuePath}.${key}`));
+      }
+    };
+    visit(dbQuery.filter, `${queryPath}.filter`);
+    return errors;
+  }
+
+  /**
+   * Check that the replace patterns of a column compile
+   */
+  checkNormalizeRules(rules, rulesPath) {
+    if (!Array.isArray(rules)) return [];
+
+    const errors = [];
+    rules.forEach((rule, index) => {
+      if (!rule || rule.type !== 'replace' || typeof rule.pattern !== 'string') return;
+      try {
+        this.normalizer.compileRule(rule);
+      } catch (err) {
+        errors.push({ path: `${rulesPath}[${index}].pattern`, message: err.message });
+      }
+    });
+    return errors;
+  }
+
+  /**
+   * Check that the validate pattern of a column compiles and its range is not empty
+   */
+  checkValidateRules(rules, rulesPath) {
+    if (!rules || typeof rules !== 'object') return [];
+
+    const errors = [];
+    if (typeof rules.pattern === 'string') {
+      try {
+        new RegExp(rules.pattern, rules.flags);
+      } catch (err) {
+        errors.push({ path: `${rulesPath}.pattern`, message: err.message });
+      }
+    }
+    if (typeof rules.min === 'number' && typeof rules.max === 'number' && rules.min > rules.max) {
+      errors.push({ path: `${rulesPath}.min`, message: `is greater than max (${rules.max})` });
+    }
+    return errors;
+  }
+
+  /**
+   * Check that computed columns read columns of their mapping, computed columns only when listed before them,
+   * and that their patterns compile
+   * @param {Array} columnConfig - Column configuration of a mapping
+   * @param {string} columnsPath - Config path of the column configuration
+   */
+  checkComputedColumns(columnConfig, columnsPath) {
+    const errors = [];
+    const available = new Set(columnConfig.filter(column => column && !column.compute).map(column => column.columnName));
+    columnConfig.forEach((column, index) => {
+      if (!column || !column.compute || typeof column.compute !== 'object') return;
+      const computePath = `${columnsPath}[${index}].compute`;
+      this.columnComputer.getSourceColumns(column.compute).forEach(source => {
+        if (!available.has(source)) {
+          const reason = columnConfig.some(other => other && other.columnName === source) ? 'is computed after this column' : 'is not defined in this mapping';
+          errors.push({ path: computePath, message: `column "${source}" ${reason}` });
+        }
+      });
+      try {
+        this.columnComputer.compile(column.compute);
+      } catch (err) {
+        errors.push({ path: computePath, message: err.message });
+      }
+      available.add(column.columnName);
+    });
+    return errors;
+  }
+
+  /**
+   * Check that every column a row filter compares is produced by the columnConfig and its operators compile
+   * @param {Array} filters - rowFilters of a collection or a mapping
+   * @param {string} filtersPath - Config path of the filters
+   * @param {Set} columns - Column names the filters can compare
+   */
+  checkRowFilters(filters, filtersPath, columns) {
+    if (!Array.isArray(filters)) return [];
+
+    const errors = [];
+    const visit = (condition, conditionPath) => {
+      if (!condition || typeof condition !== 'object' || Array.isArray(condition)) return;
+      Object.entries(condition).forEach(([key, value]) => {
+        if (key === 'and' || key === 'or') {
+          if (Array.isArray(value)) value.forEach((part, index) => visit(part, `${conditionPath}.${key}[${index}]`));
+        } else if (key === 'not') {
+          visit(value, `${conditionPath}.not`);
+        } else if (!columns.has(key)) {
+          errors.push({ path: `${conditionPath}.${key}`, message: `field "${key}" is not produced by any columnConfig` });
+        }
+      });
+    };
+
+    filters.forEach((filter, index) => {
+      if (!filter || typeof filter !== 'object') return;
+      const filterPath = `${filtersPath}[${index}]`;
+      visit(filter.include, `${filterPath}.include`);
+      visit(filter.exclude, `${filterPath}.exclude`);
+      try {
+        this.rowFilter.compile([filter]);
+      } catch (err) {
+        errors.push({ path: filterPath, message: err.message });
+      }
+    });
+    return errors;
+  }
+
+  checkDbConfig(dbConfig) {
+    if (!dbConfig.sql) {
+      return dbConfig.uri ? [] : [{ path: 'dbConfig.uri', message: 'is required for MongoDB' }];
+    }
+    if ((dbConfig.sqlClient || 'sqlite') === 'sqlite') {
+      return dbConfig.filename ? [] : [{ path: 'dbConfig.filename', message: 'is required for SQLite' }];
+    }
+    return dbConfig.uri ? [] : [{ path: 'dbConfig.uri', message: `is required for ${dbConfig.sqlClient}` }];
+  }
+
+  /**
+   * Convert an ajv error into { path, message } with a config-style path such as collectionConfig[0].mapping[1].headerIndex
+   */
+  formatSchemaError(error) {
+    let path = error.instancePath
+      .split('/')
+      .slice(1)
+      .map(segment => /^\d+$/.test(segment) ? `[${segment}]` : `.${segment}`)
+      .join('')
+      .replace(/^\./, '');
+
+    let message = error.message;
+    if (error.keyword === 'additionalProperties') {
+      path = path ? `${path}.${error.params.additionalProperty}` : error.params.additionalProperty;
+      message = 'is not a known property';
+    } else if (error.keyword === 'required') {
+      path = path ? `${path}.${error.params.missingProperty}` : error.params.missingProperty;
+      message = 'is required';
+    } else if (error.keyword === 'enum') {
+      message = `must be one of: ${error.params.allowedValues.join(', ')}`;
+    }
+
+    return { path: path || '(root)', message };
+  }
+
+  /**
+   * Format validation errors as one line per problem
+   * @param {Array} errors - Errors returned by validate
+   * @returns {string} - Error listing
+   */
+  formatErrors(errors) {
+    return errors.map(error => `  ${error.path}: ${error.message}`).join('\n');
+  }
+}
+
+export default ConfigValidator;
@@ -2,134 +2,489 @@ import ExcelJS from 'exceljs';
 import logger from './logger.js';
 import fse from 'fs-extra';
 import path from 'path';
+import Normalizer from './normalizer.js';
+import ProvenanceHelper from './provenanceHelper.js';
+import SourceResolver from './sourceResolver.js';
+import HeaderLocator from './headerLocator.js';
+import CellHelper from './cellHelper.js';
+import ColumnValidator from './columnValidator.js';
+import RowFilter from './rowFilter.js';
+import ColumnComputer from './columnComputer.js';
+import WorkbookCache from './workbookCache.js';
+
+const FORMATS_BY_EXTENSION = {
+  '.xlsx': 'xlsx',
+  '.csv': 'csv',
+  '.tsv': 'tsv',
+  '.json': 'json',
+  '.ndjson': 'ndjson',
+  '.jsonl': 'ndjson'
+};
+
+// Shared by every ExcelHelper of the process, so a csv or json file read by several mappings,
+// collections or alias tables is parsed once per run
+const workbookCache = new WorkbookCache();
 
 class ExcelHelper {
+  constructor() {
+    this.normalizer = new Normalizer();
+    this.provenanceHelper = new ProvenanceHelper();
+    this.sourceResolver = new SourceResolver();
+    this.headerLocator = new HeaderLocator();
+    this.cellHelper = new CellHelper();
+    this.columnValidator = new ColumnValidator();
+    this.rowFilter = new RowFilter();
+    this.columnComputer = new ColumnComputer();
+    this.workbookCache = workbookCache;
+  }
 
   /**
-   * Read Excel file and extract data based on the provided configuration
-   * @param {Object} fileMapping - File mapping configuration
-   * @param {string} dataSheetsDirectory - Directory containing Excel files
+   * Read a source file and extract data based on the provided configuration.
+   * Besides xlsx, csv/tsv and json/ndjson files are loaded into a worksheet so they share the same column handling.
+   * @param {Object} fileMapping - File mapping configuration, format is taken from fileMapping.format or the file extension
+   * @param {string} dataSheetsDirectory - Directory containing the source files
+   * @param {Array} rowFilters - Filters applied besides the rowFilters of the mapping, see RowFilter
    * @returns {Promise<Object>} - Extracted data result
    */
-  async readExcel({ fileMapping, dataSheetsDirectory, excludeRecord }) {
-    const { filename, sheetName, headerIndex = 1, columnConfig, recordHeader } = fileMapping;
-    const filePath = path.join(process.cwd(), dataSheetsDirectory, filename);
-    const extractedData = [];
+  async readExcel({ fileMapping, dataSheetsDirectory, rowFilters }) {
+    const [result] = await this.readFiles({ sources: [{ fileMapping, rowFilters }], dataSheetsDirectory });
+    return result;
+  }
 
-    try {
-      if (!await fse.pathExists(filePath)) {
-        logger.info(`File not found: ${filePath}`);
-        return { success: false };
+  /**
+   * Read the files of several mappings. xlsx workbooks are streamed row by row and opened once,
+   * however many mappings (sheets) read from them. Filenames and sheet names may be glob patterns,
+   * see SourceResolver for how a file is picked among the matching ones.
+   * @param {Array} sources - [{ fileMapping, rowFilters }], rowFilters are applied before the rowFilters of the mapping
+   * @param {string} dataSheetsDirectory - Directory containing the source files
+   * @returns {Promise<Array>} - One extracted data result per source, in the order of sources
+   */
+  async readFiles({ sources, dataSheetsDirectory }) {
+    const results = new Array(sources.length);
+    // filePath -> [{ index, extractor }] for the mappings reading that workbook
+    const workbooks = new Map();
+
+    for (const [index, { fileMapping, rowFilters }] of sources.entries()) {
+      const { sheetName } = fileMapping;
+      const format = this.getFormat(fileMapping);
+
+      try {
+        const { filename, filePath } = await this.sourceResolver.resolveFile(fileMapping, dataSheetsDirectory);
+        if (!filename || !await fse.pathExists(filePath)) {
+          logger.info(`File not found: ${path.resolve(dataSheetsDirectory, fileMapping.filename)}`);
+          results[index] = { success: false };
+          continue;
+        }
+
+        if (!format) {
+          logger.info(`Unsupported file format: ${filename}`);
+          results[index] = { success: false, error: `Unsupported file format: ${filename}` };
+          continue;
+        }
+
+        logger.info(`Processing file: ${filename}, sheet: ${sheetName}, format: ${format}`);
+        const extractor = this.createExtractor({ fileMapping: { ...fileMapping, filename }, pattern: fileMapping.filename, filePath, format, rowFilters });
+
+        if (format === 'xlsx') {
+          if (!workbooks.has(filePath)) {
+            workbooks.set(filePath, []);
+          }
+          workbooks.get(filePath).push({ index, extractor });
+          continue;
+        }
+
+        const sheet = await this.loadWorksheet(filePath, format, fileMapping);
+        if (!sheet) {
+          logger.info(`The specified sheet "${sheetName}" does not exist in the file at ${filePath}.`);
+          results[index] = { success: false };
+          continue;
+        }
+        extractor.start();
+        sheet.eachRow({ includeEmpty: false }, (row, rowNumber) => extractor.addRow(row, rowNumber));
+        results[index] = extractor.getResult();
+      } catch (err) {
+        logger.error({ err }, `Error reading Excel file ${fileMapping.filename}: ${err.message} `);
+        results[index] = { success: false, error: err.message, data: [] };
+      }
+    }
+
+    for (const [filePath, readers] of workbooks) {
+      try {
+        const workbookResults = await this.streamWorkbook(filePath, readers.map(reader => reader.extractor));
+        readers.forEach((reader, readerIndex) => {
+          results[reader.index] = workbookResults[readerIndex];
+        });
+      } catch (err) {
+        logger.error({ err }, `Error reading Excel file ${filePath}: ${err.message} `);
+        readers.forEach(reader => {
+          results[reader.index] = { success: false, error: err.message, data: [] };
+        });
       }
+    }
 
-      logger.info(`Processing file: ${filename}, sheet: ${sheetName}`);
+    return results;
+  }
 
-      const workbook = new ExcelJS.Workbook();
-      await workbook.xlsx.readFile(filePath);
-      const sheet = workbook.getWorksheet(sheetName);
+  /**
+   * Stream an xlsx workbook once, feeding each worksheet's rows to the extractors reading that sheet
+   * @param {string} filePath - Full path of the workbook
+   * @param {Array} extractors - Extractors created by createExtractor, an extractor without sheetName reads the first sheet
+   *                             and one with a sheet name pattern the first matching sheet
+   * @returns {Promise<Array>} - One extracted data result per extractor
+   */
+  async streamWorkbook(filePath, extractors) {
+    const workbookReader = new ExcelJS.stream.xlsx.WorkbookReader(filePath, {
+      sharedStrings: 'cache',
+      styles: 'cache', // needed to recognise date cells
+      hyperlinks: 'ignore',
+      worksheets: 'emit',
+      entries: 'ignore'
+    });
+    const started = new Set();
+
+    for await (const worksheetReader of workbookReader) {
+      const sheetExtractors = extractors.filter(extractor => !started.has(extractor)
+        && (extractor.sheetName ? this.sourceResolver.matches(extractor.sheetName, worksheetReader.name) : true));
+      if (!sheetExtractors.length) continue;
+
+      sheetExtractors.forEach(extractor => {
+        started.add(extractor);
+        extractor.start(worksheetReader.name);
+      });
+      for await (const row of worksheetReader) {
+        if (!row.hasValues) continue;
+        sheetExtractors.forEach(extractor => extractor.addRow(row, row.number));
+      }
+    }
 
-      if (!sheet) {
-        logger.info(`The specified sheet "${sheetName}" does not exist in the Excel file at ${filePath}.`);
+    return extractors.map(extractor => {
+      if (!started.has(extractor)) {
+        logger.info(`The specified sheet "${extractor.sheetName}" does not exist in the file at ${filePath}.`);
         return { success: false };
       }
+      return extractor.getResult();
+    });
+  }
 
-      const headers = sheet.getRow(headerIndex).values;
-      const columnIndices = new Map();
+  /**
+   * Create the row extractor of a mapping: rows must be added in order, the header rows locate the columns.
+   * Without headerIndex the header is searched in the first headerScanRows rows (20 by default): the first rows
+   * holding every configured header win, otherwise the rows holding the most of them.
+   * Columns with a compute entry are evaluated after the columns read from the sheet, in columnConfig order.
+   * @param {Object} fileMapping - File mapping configuration, filename is the resolved file
+   * @param {string} pattern - Filename as configured, a glob pattern for resolved files
+   * @param {string} filePath - Full path of the source file
+   * @param {string} format - xlsx, csv, tsv, json or ndjson
+   * @param {Array} rowFilters - Filters applied before the rowFilters of the mapping
+   * @returns {Object} - { sheetName, start(sheetName), addRow(row, rowNumber), getResult() }, the result lists the rows
+   *                    removed per filter, the validationErrors of columnConfig validate rules and the invalidRecords they belong to
+   */
+  createExtractor({ fileMapping, pattern = fileMapping.filename, filePath, format, rowFilters = [] }) {
+    const { filename, sheetName, columnConfig, recordHeader, headerRows = 1, headerScanRows = 20 } = fileMapping;
+    // JSON sources get a generated header row
+    const headerIndex = ['json', 'ndjson'].includes(format) ? 1 : fileMapping.headerIndex;
+    // JSON rows are numbered by record since their header row is generated
+    const rowOffset = ['json', 'ndjson'].includes(format) ? 1 : 0;
+    const columnNormalizers = this.normalizer.buildColumnNormalizers([fileMapping]);
+    const headerColumns = columnConfig.filter(column => column.headerName);
+    const computedColumns = columnConfig
+      .filter(column => column.compute)
+      .map(column => ({ column, compute: this.columnComputer.compile(column.compute) }));
+    const columnsByName = new Map(columnConfig.map(column => [column.columnName, column]));
+    const rowValidator = this.columnValidator.createRowValidator(columnConfig);
+    const filterRow = this.rowFilter.compile([...rowFilters, ...(fileMapping.rowFilters || [])]);
+    // filter name -> rows removed
+    const filterCounts = {};
+    const extractedData = [];
+    // [{ record, column, rule, value, message }] and the records they belong to
+    const validationErrors = [];
+    const invalidRecords = new Set();
+    // Rows are held back until the header rows are known
+    const pendingRows = [];
+    let columnIndices = null;
+    let lastHeaderRow;
+    let missingColumns = [];
+    let sourceSheetName;
+
+    // csv, tsv and json files have no sheet
+    const describeSheet = () => (sourceSheetName || sheetName) ? `sheet "${sourceSheetName || sheetName}" of ${filename}` : filename;
+
+    const matchHeader = firstRow => {
+      const rowValues = [];
+      for (let rowNumber = firstRow; rowNumber < firstRow + headerRows; rowNumber++) {
+        const pending = pendingRows.find(item => item.rowNumber === rowNumber);
+        rowValues.push(pending ? pending.row.values : []);
+      }
+      return { firstRow, ...this.headerLocator.matchColumns(this.headerLocator.buildHeaders(rowValues), columnConfig) };
+    };
+
+    // Create a map of the columns to extract based on columnConfig
+    const useHeader = match => {
+      columnIndices = match.columnIndices;
+      lastHeaderRow = match.firstRow + headerRows - 1;
+      if (headerIndex === undefined) {
+        logger.info(`Detected header row ${match.firstRow} in ${describeSheet()}`);
+      }
 
-      // Create a map of the columns to extract based on columnConfig
-      for (const column of columnConfig) {
-        if (!column.headerName) {
-          continue;
+      for (const column of match.missing) {
+        logger.info(`Invalid column: ${column.headerName} in ${describeSheet()}`);
+      }
+      missingColumns = match.missing.filter(column => column.required === true).map(column => column.headerName);
+
+      const dataRows = pendingRows.filter(item => item.rowNumber > lastHeaderRow);
+      pendingRows.length = 0;
+      dataRows.forEach(item => addDataRow(item.row, item.rowNumber));
+    };
+
+    // Called with every row until the header is known, and once more at the end of the sheet (complete = true)
+    const locateHeader = complete => {
+      const lastRowNumber = pendingRows.length ? pendingRows[pendingRows.length - 1].rowNumber : 0;
+      if (headerIndex !== undefined) {
+        if (complete || lastRowNumber >= headerIndex + headerRows - 1) {
+          useHeader(matchHeader(headerIndex));
         }
-        const columnHeader = column.headerName; // Excel header name
-        const columnIndex = typeof column.columnIndex === 'number' ? column.columnIndex : headers.findIndex(header => {
-          const headerName = typeof header === "string" ? header.trim().toLowerCase() : '';
-          return headerName === columnHeader.toLowerCase();
-        });
+        return;
+      }
 
-        if (columnIndex === -1) {
-          logger.info(`Invalid column: ${columnHeader} in sheet "${sheetName}"`);
-          continue;
+      // A candidate can be judged once all its header rows were added
+      const firstRow = lastRowNumber - headerRows + 1;
+      if (firstRow >= 1 && firstRow <= headerScanRows) {
+        const match = matchHeader(firstRow);
+        if (!match.missing.length && headerColumns.length) {
+          useHeader(match);
+          return;
         }
-
-        columnIndices.set(columnHeader, columnIndex);
       }
 
-      sheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
-        if (rowNumber <= headerIndex) return; // Skip header row
-
-        let rowData = {};
-        for (const column of columnConfig) {
-          if (!column.headerName && column.columnName) { //adding default value for column without headerName
-            rowData[column.columnName] = column.defaultValue;
-          } else {
-            const columnHeader = column.headerName; // Excel header name
-            const columnIndex = columnIndices.get(columnHeader);
-            let shouldExclude = false;
-
-            // Handle excludeValues as array of objects: [{ columnName, values }]
-            if (Array.isArray(excludeRecord)) {
-              for (const excludeObj of excludeRecord) {
-                if (column.columnName === excludeObj.columnName) {
-                  const cellValue = row.getCell(columnIndex).value;
-                  if (excludeObj.values.includes(cellValue)) {
-                    shouldExclude = true;
-                    rowData = {};
-                    break;
-                  }
-                }
-              }
-
-            }
-
-            if (shouldExclude) {
-              // Skip this row entirely
-              continue;
-            }
-
-            if (columnIndex === undefined) continue;
-
-            let columnValue = row.getCell(columnIndex).value;
-            columnValue = columnValue ? columnValue.toString().trim() : '';
-
-            if (!columnValue && column.defaultValue !== undefined) {
-              columnValue = column.defaultValue;
-            }
-
-            // Store using collection field name
-            rowData[column.columnName] = this.convertData(columnValue, column.dataType || 'string');
+      if (complete || firstRow >= headerScanRows) {
+        let best = null;
+        for (let candidate = 1; candidate <= Math.min(headerScanRows, lastRowNumber); candidate++) {
+          const match = matchHeader(candidate);
+          if (!best || match.missing.length < best.missing.length) {
+            best = match;
           }
         }
-
-        if (Object.keys(rowData).length > 0) {
-          extractedData.push(rowData);
+        useHeader(best || matchHeader(1));
+      }
+    };
+
+    const addDataRow = (row, rowNumber) => {
+      // A required column is missing, the result is a failure
+      if (missingColumns.length) return;
+
+      const rowData = {};
+      // Values before dataType conversion, validated against the dataType
+      const texts = {};
+      const setValue = (column, value) => {
+        let columnValue = this.normalizer.normalizeValue(value, columnNormalizers[column.columnName]);
+        if (!columnValue && column.defaultValue !== undefined) {
+          columnValue = column.defaultValue;
         }
-      });
 
-      logger.info(`Extracted ${extractedData.length} records from ${filename} `);
+        // Store using collection field name
+        texts[column.columnName] = columnValue;
+        rowData[column.columnName] = this.convertData(columnValue, column.dataType || 'string', column.dateFormat);
+      };
 
-      return {
-        success: true,
-        data: extractedData,
-        filename: filename,
-        sheetName: sheetName,
-        recordCount: extractedData.length,
-        recordHeader: recordHeader || ''
+      for (const column of columnConfig) {
+        if (column.compute) continue;
+        if (!column.headerName && column.columnName) { //adding default value for column without headerName
+          rowData[column.columnName] = column.defaultValue;
+        } else {
+          const columnHeader = column.headerName; // Excel header name
+          const columnIndex = columnIndices.get(columnHeader);
+          if (columnIndex === undefined) continue;
+
+          // Date cells of date columns stay dates, other cells are read as text (dates written with dateFormat)
+          const cellValue = this.cellHelper.getValue(row.getCell(columnIndex).value);
+          setValue(column, cellValue instanceof Date && column.dataType === 'date'
+            ? cellValue
+            : this.cellHelper.toText(cellValue, column.dateFormat).trim());
+        }
+      }
+
+      // Computed columns read the values before dataType conversion, as text
+      const readText = name => {
+        const value = name in texts ? texts[name] : rowData[name];
+        return this.cellHelper.toText(value, columnsByName.has(name) ? columnsByName.get(name).dateFormat : undefined).trim();
       };
+      for (const { column, compute } of computedColumns) {
+        setValue(column, compute(readText));
+      }
 
-    } catch (err) {
-      logger.error({ err }, `Error reading Excel file ${filename}: ${err.message} `);
-      return { success: false, error: err.message, data: [] };
+      const removedBy = filterRow(rowData);
+      if (removedBy) {
+        filterCounts[removedBy] = (filterCounts[removedBy] || 0) + 1;
+        return;
+      }
+
+      if (Object.keys(rowData).length > 0) {
+        extractedData.push(this.provenanceHelper.attach(rowData, { filePath, filename, pattern, sheetName: sourceSheetName, row: rowNumber - rowOffset, format }));
+
+        const errors = rowValidator.validate(rowData, texts, rowNumber - rowOffset);
+        if (errors.length) {
+          invalidRecords.add(rowData);
+          errors.forEach(error => validationErrors.push({ record: rowData, ...error }));
+        }
+      }
+    };
+
+    return {
+      sheetName,
+      // Only xlsx files have sheets
+      start: name => {
+        sourceSheetName = format === 'xlsx' ? name : undefined;
+      },
+      addRow: (row, rowNumber) => {
+        if (!columnIndices) {
+          pendingRows.push({ row, rowNumber });
+          locateHeader(false);
+          return;
+        }
+        addDataRow(row, rowNumber);
+      },
+      getResult: () => {
+        if (!columnIndices) {
+          locateHeader(true);
+        }
+        if (missingColumns.length) {
+          const error = `Missing required column(s) ${missingColumns.map(name => `"${name}"`).join(', ')} in ${describeSheet()}`;
+          logger.info(error);
+          return { success: false, error, missingColumns, filename, pattern, data: [] };
+        }
+        logger.info(`Extracted ${extractedData.length} records from ${filename} `);
+        Object.entries(filterCounts).forEach(([name, count]) => logger.info(`Filter "${name}" removed ${count} rows of ${filename}`));
+        if (validationErrors.length) {
+          logger.info(`${invalidRecords.size} records of ${filename} failed validation`);
+        }
+        return {
+          success: true,
+          data: extractedData,
+          filename: filename,
+          pattern: pattern,
+          // The sheet read when sheetName is a pattern
+          sheetName: sourceSheetName || sheetName,
+          recordCount: extractedData.length,
+          recordHeader: recordHeader || '',
+          // headerName -> column index of the columns found in the sheet
+          columnIndices,
+          // First header row, given by headerIndex or detected
+          headerRow: lastHeaderRow - headerRows + 1,
+          filterCounts,
+          validationErrors,
+          invalidRecords
+        };
+      }
+    };
+  }
+
+  /**
+   * Detect the format of a source file from the mapping's format field or the file extension
+   * @param {Object} fileMapping - File mapping configuration
+   * @returns {string|undefined} - xlsx, csv, tsv, json or ndjson
+   */
+  getFormat(fileMapping) {
+    if (fileMapping.format) {
+      return fileMapping.format.toLowerCase();
+    }
+    return FORMATS_BY_EXTENSION[path.extname(fileMapping.filename).toLowerCase()];
+  }
+
+  /**
+   * Load the worksheet of a csv, tsv, json or ndjson file, xlsx workbooks are streamed by streamWorkbook.
+   * Worksheets are cached until the file changes, the returned worksheet is shared and only read.
+   * @param {string} filePath - Full path of the source file
+   * @param {string} format - csv, tsv, json or ndjson
+   * @param {Object} fileMapping - File mapping configuration
+   * @returns {Promise<Object|undefined>} - ExcelJS worksheet, undefined when the sheet does not exist
+   */
+  loadWorksheet(filePath, format, fileMapping) {
+    const { sheetName, delimiter } = fileMapping;
+    // csv files hold one sheet, json files one per sheetName
+    const key = JSON.stringify(['csv', 'tsv'].includes(format) ? [format, delimiter] : [format, sheetName]);
+    return this.workbookCache.get(filePath, key, () => this.parseWorksheet(filePath, format, fileMapping));
+  }
+
+  async parseWorksheet(filePath, format, { sheetName, delimiter }) {
+    const workbook = new ExcelJS.Workbook();
+
+    switch (format) {
+      case 'csv':
+      case 'tsv':
+        return workbook.csv.readFile(filePath, {
+          parserOptions: { delimiter: delimiter || (format === 'tsv' ? '\t' : ',') },
+          // keep cells as text like xlsx string cells, dataType handles conversion
+          map: value => value === '' ? null : value
+        });
+      case 'json':
+      case 'ndjson': {
+        const records = await this.readJsonRecords(filePath, format, sheetName);
+        return records && this.recordsToWorksheet(workbook, records);
+      }
+      default:
+        throw new Error(`Unsupported file format: ${format}`);
+    }
+  }
+
+  /**
+   * Read the records of a JSON (array, or object holding arrays keyed by sheetName) or NDJSON file
+   * @param {string} filePath - Full path of the source file
+   * @param {string} format - json or ndjson
+   * @param {string} sheetName - Property holding the records when the JSON file is an object
+   * @returns {Promise<Array|undefined>} - Records, undefined when sheetName is not found
+   */
+  async readJsonRecords(filePath, format, sheetName) {
+    const content = await fse.readFile(filePath, 'utf8');
+
+    if (format === 'ndjson') {
+      return content.split(/\r?\n/).reduce((records, line, index) => {
+        if (!line.trim()) return records;
+        try {
+          records.push(JSON.parse(line));
+        } catch (err) {
+          throw new Error(`Invalid JSON on line ${index + 1} of ${filePath}: ${err.message}`);
+        }
+        return records;
+      }, []);
     }
+
+    const parsed = JSON.parse(content);
+    if (Array.isArray(parsed)) {
+      return parsed;
+    }
+    return Array.isArray(parsed[sheetName]) ? parsed[sheetName] : undefined;
+  }
+
+  /**
+   * Build a worksheet from plain records: header row from the union of keys, one row per record
+   * @param {Object} workbook - ExcelJS workbook
+   * @param {Array} records - Array of objects
+   * @returns {Object} - ExcelJS worksheet
+   */
+  recordsToWorksheet(workbook, records) {
+    const worksheet = workbook.addWorksheet('Records');
+    const headers = [...new Set(records.flatMap(record => Object.keys(record || {})))];
+
+    worksheet.addRow(headers);
+    records.forEach(record => {
+      worksheet.addRow(headers.map(header => {
+        const value = record ? record[header] : null;
+        if (value === undefined) return null;
+        return value !== null && typeof value === 'object' && !(value instanceof Date) ? JSON.stringify(value) : value;
+      }));
+    });
+
+    return worksheet;
   }
 
   /**
    * Convert data based on the specified data type
    * @param {*} value - The value to convert
    * @param {string} dataType - The data type to convert to
+   * @param {string} dateFormat - Format of date texts, e.g. DD/MM/YYYY, parsed leniently when missing
    * @returns {*} - Converted value
    */
-  convertData(value, dataType) {
+  convertData(value, dataType, dateFormat) {
     if (value === null || value === undefined || value === '') {
       return '';
     }
@@ -143,9 +498,7 @@ class ExcelHelper {
       case 'boolean':
         return Boolean(value);
       case 'date':
-        if (value instanceof Date) return value;
-        const date = new Date(value);
-        return isNaN(date.getTime()) ? null : date;
+        return this.cellHelper.parseDate(value, dateFormat);
       default:
         return value.toString();
     }
@@ -163,14 +516,14 @@ class ExcelHelper {
     try {
       await fse.ensureDir(path.dirname(filePath));
 
-      const workbook = new ExcelJS.Workbook();
-      const worksheet = workbook.addWorksheet(sheetName);
-
       if (data.length === 0) {
         logger.info(`No data to write to ${filePath}`);
         return { success: true, message: 'No data to write' };
       }
 
+      // Rows are streamed to the file as they are committed
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ filename: filePath, useStyles: true });
+
       // Auto-generate columns if not provided
       if (!columns) {
         const sampleRow = data[0];
@@ -181,40 +534,10 @@ class ExcelHelper {
         }));
       }
 
-      // Set up columns
-      worksheet.columns = columns;
-
-      // Add header styling
-      worksheet.getRow(1).eachCell((cell) => {
-        cell.font = { bold: true };
-        cell.fill = {
-          type: 'pattern',
-          pattern: 'solid',
-          fgColor: { argb: 'FFE0E0E0' }
-        };
-        cell.border = {
-          top: { style: 'thin' },
-          left: { style: 'thin' },
-          bottom: { style: 'thin' },
-          right: { style: 'thin' }
-        };
-      });
-
-      // Add data rows
-      data.forEach(row => {
-        const addedRow = worksheet.addRow(row);
-        addedRow.eachCell((cell) => {
-          cell.border = {
-            top: { style: 'thin' },
-            left: { style: 'thin' },
-            bottom: { style: 'thin' },
-            right: { style: 'thin' }
-          };
-        });
-      });
+      this.writeWorksheet(workbook, { name: sheetName, data, columns });
 
       // Save the file
-      await workbook.xlsx.writeFile(filePath);
+      await workbook.commit();
       logger.info(`Excel file written successfully: ${filePath}`);
 
       return {
@@ -229,9 +552,72 @@ class ExcelHelper {
     }
   }
 
+  /**
+   * Add a styled worksheet to a streaming workbook, each row is committed once written
+   * @param {Object} workbook - ExcelJS streaming WorkbookWriter
+   * @param {Object} sheetConfig - { name, data, columns, highlights, headerIndex }, rows above headerIndex stay empty
+   */
+  writeWorksheet(workbook, { name, data, columns, highlights = [], headerIndex = 1 }) {
+    const worksheet = workbook.addWorksheet(name);
+    const border = {
+      top: { style: 'thin' },
+      left: { style: 'thin' },
+      bottom: { style: 'thin' },
+      right: { style: 'thin' }
+    };
+
+    // Set up columns, ExcelJS writes their headers in the first row
+    worksheet.columns = headerIndex === 1 ? columns : columns.map(({ header, ...column }) => column);
+
+    // Add header styling
+    const headerRow = worksheet.getRow(headerIndex);
+    if (headerIndex !== 1) {
+      headerRow.values = columns.map(column => column.header);
+    }
+    headerRow.eachCell((cell) => {
+      cell.font = { bold: true };
+      cell.fill = {
+        type: 'pattern',
+        pattern: 'solid',
+        fgColor: { argb: 'FFE0E0E0' }
+      };
+      cell.border = border;
+    });
+    headerRow.commit();
+
+    // Add data rows
+    data.forEach((row, rowIndex) => {
+      const addedRow = worksheet.addRow(row);
+      addedRow.eachCell((cell) => {
+        cell.border = border;
+        this.styleHyperlink(cell);
+      });
+
+      const highlightKeys = highlights[rowIndex] || [];
+      highlightKeys.forEach(key => {
+        if (!columns.some(column => column.key === key)) return;
+        addedRow.getCell(key).fill = {
+          type: 'pattern',
+          pattern: 'solid',
+          fgColor: { argb: 'FFFFFF99' }
+        };
+      });
+      addedRow.commit();
+    });
+
+    worksheet.commit();
+  }
+
+  styleHyperlink(cell) {
+    if (cell.value && cell.value.hyperlink) {
+      cell.font = { color: { argb: 'FF0563C1' }, underline: true };
+    }
+  }
+
   /**
    * Write multiple sheets to a single Excel file
-   * @param {Array} sheets - Array of sheet objects [{ name: 'Sheet1', data: [], columns: [] }]
+   * @param {Array} sheets - Array of sheet objects [{ name: 'Sheet1', data: [], columns: [], highlights: [] }]
+   *                         highlights[i] lists the column keys to highlight on data row i
    * @param {string} filePath - Full path where to save the Excel file
    * @returns {Promise<Object>} - Result object
    */
@@ -239,63 +625,33 @@ class ExcelHelper {
     try {
       await fse.ensureDir(path.dirname(filePath));
 
-      const workbook = new ExcelJS.Workbook();
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ filename: filePath, useStyles: true });
 
       for (const sheetConfig of sheets) {
         const { name, data, columns } = sheetConfig;
-        const worksheet = workbook.addWorksheet(name);
 
         if (data.length === 0) {
           logger.info(`No data for sheet ${name}`);
+          workbook.addWorksheet(name).commit();
           continue;
         }
 
-        // Auto-generate columns if not provided
+        // Auto-generate columns if not provided, rows may not all share the same keys
         let sheetColumns = columns;
         if (!sheetColumns) {
-          const sampleRow = data[0];
-          sheetColumns = Object.keys(sampleRow).map(key => ({
+          const keys = [...new Set(data.flatMap(row => Object.keys(row)))];
+          sheetColumns = keys.map(key => ({
             header: key,
             key: key,
             width: 20
           }));
         }
 
-        // Set up columns
-        worksheet.columns = sheetColumns;
-
-        // Add header styling
-        worksheet.getRow(1).eachCell((cell) => {
-          cell.font = { bold: true };
-          cell.fill = {
-            type: 'pattern',
-            pattern: 'solid',
-            fgColor: { argb: 'FFE0E0E0' }
-          };
-          cell.border = {
-            top: { style: 'thin' },
-            left: { style: 'thin' },
-            bottom: { style: 'thin' },
-            right: { style: 'thin' }
-          };
-        });
-
-        // Add data rows
-        data.forEach(row => {
-          const addedRow = worksheet.addRow(row);
-          addedRow.eachCell((cell) => {
-            cell.border = {
-              top: { style: 'thin' },
-              left: { style: 'thin' },
-              bottom: { style: 'thin' },
-              right: { style: 'thin' }
-            };
-          });
-        });
+        this.writeWorksheet(workbook, { ...sheetConfig, columns: sheetColumns });
       }
 
       // Save the file
-      await workbook.xlsx.writeFile(filePath);
+      await workbook.commit();
       logger.info(`Multi-sheet Excel file written successfully: ${filePath}`);
 
       return {
@@ -0,0 +1,166 @@
+import CellHelper from './cellHelper.js';
+
+const NUMBER_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+
+class FieldComparator {
+  constructor() {
+    this.cellHelper = new CellHelper();
+  }
+
+  /**
+   * Compile the compare entry of a column into an equality function. Values are coerced, so a database
+   * number 2 equals an Excel text "2", and empty values (undefined, null, '') equal each other.
+   * 'string' compares trimmed texts ignoring case, numbers as numbers and dates by time
+   * ({ type: 'string', caseSensitive: true } keeps case),
+   * 'number' compares numbers within tolerance ({ type: 'number', tolerance: 0.01 }),
+   * 'date' compares dates by day ({ type: 'date', precision: 'time' } compares the exact time),
+   * 'set' compares lists ignoring order and case ({ type: 'set', separator: ',', ordered: true } keeps order),
+   * 'ignore' never reports a difference.
+   * @param {string|Object} compare - Comparator name or { type, ...options }
+   * @param {Object} column - Column configuration, its dateFormat parses date texts
+   * @returns {Function} - (excelValue, dbValue) => boolean
+   */
+  compile(compare, column = {}) {
+    const { type, ...options } = typeof compare === 'string' ? { type: compare } : compare;
+    switch (type) {
+      case 'string':
+        return (a, b) => this.isEqual(a, b, options.caseSensitive);
+      case 'number': {
+        const { tolerance = 0 } = options;
+        return (a, b) => {
+          if (this.bothEmpty(a, b)) return true;
+          const x = this.toNumber(a);
+          const y = this.toNumber(b);
+          // Texts that are not numbers still compare as texts
+          if (isNaN(x) || isNaN(y)) return this.isSameText(a, b);
+          return Math.abs(x - y) <= tolerance;
+        };
+      }
+      case 'date': {
+        const { precision = 'day' } = options;
+        return (a, b) => {
+          if (this.bothEmpty(a, b)) return true;
+          const x = this.isEmpty(a) ? null : this.cellHelper.parseDate(a, column.dateFormat);
+          const y = this.isEmpty(b) ? null : this.cellHelper.parseDate(b, column.dateFormat);
+          if (!x || !y) return this.isSameText(a, b);
+          return precision === 'day'
+            ? this.cellHelper.formatDate(x, 'YYYY-MM-DD') === this.cellHelper.formatDate(y, 'YYYY-MM-DD')
+            : x.getTime() === y.getTime();
+        };
+      }
+      case 'set': {
+        const { separator = ',', ordered = false } = options;
+        return (a, b) => {
+          const x = this.toList(a, separator);
+          const y = this.toList(b, separator);
+          if (ordered) return x.length === y.length && x.every((item, index) => item === y[index]);
+          const setX = new Set(x);
+          const setY = new Set(y);
+          return setX.size === setY.size && [...setX].every(item => setY.has(item));
+        };
+      }
+      case 'ignore':
+        return () => true;
+      default:
+        throw new Error(`Unknown comparator: ${type}`);
+    }
+  }
+
+  /**
+   * Comparator of a column without compare entry: numbers for number columns, exact times for date columns
+   * (like the dates read from the sheets), otherwise the coerced string comparison
+   */
+  getDefaultCompare(column = {}) {
+    if (column.dataType === 'number') return 'number';
+    if (column.dataType === 'date') return { type: 'date', precision: 'time' };
+    return 'string';
+  }
+
+  /**
+   * Build the comparators of a collection keyed by column name.
+   * A column mapped by several files uses the compare entry of the first mapping that defines one.
+   * @param {Array} mapping - Collection mapping entries
+   * @returns {Object} - { columnName: Function }
+   */
+  buildColumnComparators(mapping = []) {
+    const columns = new Map();
+    for (const fileMapping of mapping) {
+      for (const column of fileMapping.columnConfig || []) {
+        if (!columns.has(column.columnName) || (column.compare && !columns.get(column.columnName).compare)) {
+          columns.set(column.columnName, column);
+        }
+      }
+    }
+
+    const comparators = {};
+    columns.forEach((column, columnName) => {
+      comparators[columnName] = this.compile(column.compare || this.getDefaultCompare(column), column);
+    });
+    return comparators;
+  }
+
+  /**
+   * Fields compared between a matched Excel and database record: every mapped column with compareAllFields,
+   * otherwise exactFieldMatch. Columns compared with 'ignore' are left out. Each record is only compared on the
+   * fields its own mapping read, see DataComparer.isEqual.
+   * @param {Object} collectionConfig - Collection configuration
+   * @returns {Array} - Field names
+   */
+  getCompareFields({ mapping = [], exactFieldMatch = [], compareAllFields = false }) {
+    const ignored = new Set();
+    const mapped = [];
+    for (const fileMapping of mapping) {
+      for (const column of fileMapping.columnConfig || []) {
+        if (column.compare === 'ignore' || (column.compare && column.compare.type === 'ignore')) ignored.add(column.columnName);
+        if (!mapped.includes(column.columnName)) mapped.push(column.columnName);
+      }
+    }
+    return (compareAllFields ? mapped : exactFieldMatch).filter(field => !ignored.has(field));
+  }
+
+  /**
+   * Comparison of the 'string' comparator, also used for values without column:
+   * numbers and numeric texts compare as numbers, dates by time and other values as texts
+   */
+  isEqual(a, b, caseSensitive = false) {
+    if (this.bothEmpty(a, b)) return true;
+    if (a instanceof Date || b instanceof Date) {
+      const toTime = value => this.isEmpty(value) ? NaN : new Date(value).getTime();
+      return toTime(a) === toTime(b);
+    }
+    if (typeof a === 'number' || typeof b === 'number') {
+      const x = this.toNumber(a);
+      const y = this.toNumber(b);
+      if (!isNaN(x) && !isNaN(y)) return x === y;
+    }
+    return this.isSameText(a, b, caseSensitive);
+  }
+
+  isEmpty(value) {
+    return value === undefined || value === null || value === '';
+  }
+
+  bothEmpty(a, b) {
+    return this.isEmpty(a) && this.isEmpty(b);
+  }
+
+  isSameText(a, b, caseSensitive = false) {
+    if (this.isEmpty(a) || this.isEmpty(b)) return this.bothEmpty(a, b);
+    const x = this.cellHelper.toText(a).trim();
+    const y = this.cellHelper.toText(b).trim();
+    return caseSensitive ? x === y : x.toLowerCase() === y.toLowerCase();
+  }
+
+  toNumber(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'string' && NUMBER_PATTERN.test(value.trim())) return Number(value.trim());
+    return NaN;
+  }
+
+  toList(value, separator) {
+    const items = Array.isArray(value) ? value : this.isEmpty(value) ? [] : String(value).split(separator);
+    return items.map(item => this.cellHelper.toText(item).trim().toLowerCase()).filter(Boolean);
+  }
+}
+
+export default FieldComparator;
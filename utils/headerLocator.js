@@ -0,0 +1,89 @@
+import CellHelper from './cellHelper.js';
+
+class HeaderLocator {
+  constructor() {
+    this.cellHelper = new CellHelper();
+  }
+
+  /**
+   * Text of a header cell: strings, numbers, rich text, hyperlinks and formula results
+   */
+  headerText(value) {
+    return this.cellHelper.toText(this.cellHelper.getValue(value));
+  }
+
+  /**
+   * Headers compare ignoring case, line breaks and repeated spaces, so wrapped headers still match
+   */
+  headerKey(text) {
+    return String(text).replace(/\s+/g, ' ').trim().toLowerCase();
+  }
+
+  /**
+   * Build the header of every column from one or more header rows.
+   * Streamed workbooks only hold the value of a merged cell in its first cell, so the upper rows
+   * (group headers merged across columns) are filled forward into the empty cells on their right.
+   * @param {Array} rowValues - row.values of each header row, top to bottom, 1-based column indexes
+   * @returns {Array} - Per column index { full, last }: every row's text joined with a space, and the text of the lowest row
+   */
+  buildHeaders(rowValues) {
+    const width = Math.max(0, ...rowValues.map(values => values.length));
+    const texts = rowValues.map((values, rowIndex) => {
+      const isLast = rowIndex === rowValues.length - 1;
+      const rowTexts = [];
+      let previous = '';
+      for (let columnIndex = 1; columnIndex < width; columnIndex++) {
+        const text = this.headerText(values[columnIndex]).replace(/\s+/g, ' ').trim();
+        previous = text || (isLast ? '' : previous);
+        rowTexts[columnIndex] = previous;
+      }
+      return rowTexts;
+    });
+
+    const headers = [];
+    for (let columnIndex = 1; columnIndex < width; columnIndex++) {
+      // Drop repeated parts, e.g. a header merged down over two rows
+      const parts = texts.map(rowTexts => rowTexts[columnIndex]).filter((text, index, all) => text && text !== all[index - 1]);
+      headers[columnIndex] = {
+        full: this.headerKey(parts.join(' ')),
+        last: this.headerKey(texts[texts.length - 1][columnIndex] || '')
+      };
+    }
+    return headers;
+  }
+
+  /**
+   * Find the column index of every columnConfig entry with a headerName. The headerName or one of the
+   * headerAliases must equal the full header (group and column header joined) or, failing that, the lowest header row.
+   * @param {Array} headers - Result of buildHeaders
+   * @param {Array} columnConfig - Column configuration of the mapping
+   * @returns {Object} - { columnIndices: Map(headerName -> index), missing: [columns not found] }
+   */
+  matchColumns(headers, columnConfig) {
+    const columnIndices = new Map();
+    const missing = [];
+    for (const column of columnConfig) {
+      if (!column.headerName) continue;
+
+      if (typeof column.columnIndex === 'number') {
+        columnIndices.set(column.headerName, column.columnIndex);
+        continue;
+      }
+
+      const names = [column.headerName, ...(column.headerAliases || [])].map(name => this.headerKey(name));
+      let columnIndex = headers.findIndex(header => header && names.includes(header.full));
+      if (columnIndex === -1) {
+        columnIndex = headers.findIndex(header => header && names.includes(header.last));
+      }
+
+      if (columnIndex === -1) {
+        missing.push(column);
+        continue;
+      }
+      columnIndices.set(column.headerName, columnIndex);
+    }
+    return { columnIndices, missing };
+  }
+}
+
+export default HeaderLocator;
@@ -0,0 +1,183 @@
+import fse from 'fs-extra';
+import path from 'path';
+
+const SUMMARY_FILE_PATTERN = /^Summary_.+_(\d{8}T\d{9}Z)\.json$/;
+// Reports written before runs shared one timestamp are paired when they are this close together
+const LEGACY_PAIRING_WINDOW_MS = 10 * 60 * 1000;
+
+const TREND_COLUMNS = [
+  { header: 'Add', value: run => run.comparison && run.comparison.summary.RecordstoAdd },
+  { header: 'Delete', value: run => run.comparison && run.comparison.summary.RecordstoDelete },
+  { header: 'Update', value: run => run.comparison && run.comparison.summary.RecordstoUpdate },
+  { header: 'Possible', value: run => run.comparison && run.comparison.summary.PossibleMatches },
+  { header: 'DB Dups', value: run => run.comparison && run.comparison.summary.DuplicateDatainDatabase },
+  { header: 'Duplicates', value: run => run.duplicates && run.duplicates.duplicateCount },
+  { header: 'Conflicts', value: run => run.duplicates && run.duplicates.conflictCount },
+  { header: 'Unique', value: run => run.duplicates && run.duplicates.uniqueCount }
+];
+
+const DIFF_CATEGORIES = [
+  { name: 'Records to Add', keys: run => run.comparison && run.comparison.keys && run.comparison.keys.add },
+  { name: 'Records to Delete', keys: run => run.comparison && run.comparison.keys && run.comparison.keys.delete },
+  { name: 'Records to Update', keys: run => run.comparison && run.comparison.keys && run.comparison.keys.update },
+  { name: 'Possible Matches', keys: run => run.comparison && run.comparison.keys && run.comparison.keys.possibleMatch },
+  { name: 'Duplicates', keys: run => run.duplicates && run.duplicates.duplicateKeys }
+];
+
+class HistoryHelper {
+  /**
+   * @param {string} reportsDirectory - Directory the reports were written to
+   */
+  constructor(reportsDirectory) {
+    this.reportsDirectory = path.resolve(reportsDirectory || 'Reports');
+  }
+
+  /**
+   * Load the summaries of every past run of a collection
+   * @param {string} collectionName - Name of the collection
+   * @returns {Promise<Array>} - Runs sorted oldest first: [{ runId, date, comparison, duplicates }]
+   */
+  async loadRuns(collectionName) {
+    const runs = new Map();
+    const sources = [
+      { type: 'comparison', folder: path.join(this.reportsDirectory, 'Comparison', collectionName) },
+      { type: 'duplicates', folder: path.join(this.reportsDirectory, 'Duplicates', collectionName) }
+    ];
+
+    for (const { type, folder } of sources) {
+      if (!await fse.pathExists(folder)) continue;
+
+      for (const fileName of await fse.readdir(folder)) {
+        const match = fileName.match(SUMMARY_FILE_PATTERN);
+        if (!match) continue;
+
+        const runId = match[1];
+        if (!runs.has(runId)) {
+          runs.set(runId, { runId, date: this.parseRunId(runId) });
+        }
+        runs.get(runId)[type] = await fse.readJson(path.join(folder, fileName));
+      }
+    }
+
+    return this.pairLegacyRuns([...runs.values()].sort((a, b) => a.date - b.date));
+  }
+
+  /**
+   * Merge a duplicates-only run into the comparison-only run that directly follows it
+   */
+  pairLegacyRuns(runs) {
+    const paired = [];
+    for (let index = 0; index < runs.length; index++) {
+      const run = runs[index];
+      const next = runs[index + 1];
+      if (run.duplicates && !run.comparison && next && next.comparison && !next.duplicates && next.date - run.date <= LEGACY_PAIRING_WINDOW_MS) {
+        paired.push({ ...next, duplicates: run.duplicates });
+        index++;
+        continue;
+      }
+      paired.push(run);
+    }
+    return paired;
+  }
+
+  /**
+   * Convert a report timestamp such as 20250101T120000000Z to a Date
+   */
+  parseRunId(runId) {
+    const [, year, month, day, hour, minute, second, millisecond] = runId.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(\d{3})Z$/);
+    return new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}.${millisecond}Z`);
+  }
+
+  /**
+   * Find a run by its id or a unique prefix of it
+   * @param {Array} runs - Runs returned by loadRuns
+   * @param {string} runId - Run id or prefix
+   * @returns {Object} - Run
+   */
+  findRun(runs, runId) {
+    const exact = runs.find(run => run.runId === runId);
+    if (exact) return exact;
+
+    const matches = runs.filter(run => run.runId.startsWith(runId));
+    if (matches.length === 1) return matches[0];
+    throw new Error(matches.length ? `Run "${runId}" is ambiguous: ${matches.map(run => run.runId).join(', ')}` : `Run "${runId}" not found`);
+  }
+
+  /**
+   * List the keys that appeared in or disappeared from each category between two runs
+   * @param {Object} fromRun - Earlier run
+   * @param {Object} toRun - Later run
+   * @returns {Array} - [{ name, available, appeared, resolved }]
+   */
+  diffRuns(fromRun, toRun) {
+    return DIFF_CATEGORIES.map(category => {
+      const fromKeys = category.keys(fromRun);
+      const toKeys = category.keys(toRun);
+      if (!fromKeys || !toKeys) {
+        return { name: category.name, available: false, appeared: [], resolved: [] };
+      }
+
+      const fromSet = new Set(fromKeys);
+      const toSet = new Set(toKeys);
+      return {
+        name: category.name,
+        available: true,
+        appeared: toKeys.filter(key => !fromSet.has(key)),
+        resolved: fromKeys.filter(key => !toSet.has(key))
+      };
+    });
+  }
+
+  /**
+   * Format the counts of every run with the change from the previous run
+   * @param {string} collectionName - Name of the collection
+   * @param {Array} runs - Runs returned by loadRuns
+   * @returns {string} - Trend table
+   */
+  formatTrend(collectionName, runs) {
+    if (!runs.length) {
+      return `${collectionName}: no report history found`;
+    }
+
+    const rows = runs.map((run, index) => {
+      const previous = runs[index - 1];
+      return [run.runId, ...TREND_COLUMNS.map(column => this.formatCount(column.value(run), previous && column.value(previous)))];
+    });
+    const headers = ['Run', ...TREND_COLUMNS.map(column => column.header)];
+    const widths = headers.map((header, index) => Math.max(header.length, ...rows.map(row => row[index].length)));
+    const formatRow = row => row.map((cell, index) => index === 0 ? cell.padEnd(widths[index]) : cell.padStart(widths[index])).join('  ');
+
+    return [`${collectionName} (${runs.length} runs)`, `  ${formatRow(headers)}`, ...rows.map(row => `  ${formatRow(row)}`)].join('\n');
+  }
+
+  formatCount(value, previousValue) {
+    if (value === undefined || value === null) return '-';
+    if (previousValue === undefined || previousValue === null || previousValue === value) return `${value}`;
+    const delta = value - previousValue;
+    return `${value} (${delta > 0 ? '+' : ''}${delta})`;
+  }
+
+  /**
+   * Format the result of diffRuns
+   * @param {string} collectionName - Name of the collection
+   * @param {Object} fromRun - Earlier run
+   * @param {Object} toRun - Later run
+   * @param {Array} diff - Result of diffRuns
+   * @returns {string} - One section per category listing new (+) and resolved (-) keys
+   */
+  formatDiff(collectionName, fromRun, toRun, diff) {
+    const lines = [`${collectionName}: changes from ${fromRun.runId} to ${toRun.runId}`];
+    diff.forEach(category => {
+      if (!category.available) {
+        lines.push(`  ${category.name}: keys not recorded in one of the runs`);
+        return;
+      }
+      lines.push(`  ${category.name}: ${category.appeared.length} new, ${category.resolved.length} resolved`);
+      category.appeared.forEach(key => lines.push(`    + ${key}`));
+      category.resolved.forEach(key => lines.push(`    - ${key}`));
+    });
+    return lines.join('\n');
+  }
+}
+
+export default HistoryHelper;
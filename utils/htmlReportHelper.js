@@ -0,0 +1,147 @@
+import fse from 'fs-extra';
+import logger from './logger.js';
+
+const STYLE = `
+  body { font-family: Arial, Helvetica, sans-serif; margin: 24px; color: #222; }
+  h1 { font-size: 22px; margin-bottom: 4px; }
+  h2 { font-size: 17px; margin: 28px 0 8px; }
+  .generated { color: #666; font-size: 12px; }
+  .metrics { display: flex; flex-wrap: wrap; gap: 12px; margin: 16px 0; }
+  .metric { border: 1px solid #ccc; border-radius: 4px; padding: 8px 12px; min-width: 140px; background: #f7f7f7; }
+  .metric .count { font-size: 20px; font-weight: bold; }
+  .metric .label { font-size: 12px; color: #555; }
+  nav a { margin-right: 12px; font-size: 13px; }
+  .filter { margin-bottom: 6px; padding: 4px 6px; width: 320px; }
+  .row-count { font-size: 12px; color: #666; margin-left: 8px; }
+  .table-wrapper { overflow-x: auto; max-height: 600px; overflow-y: auto; border: 1px solid #ddd; }
+  table { border-collapse: collapse; font-size: 12px; }
+  th, td { border: 1px solid #ddd; padding: 4px 6px; white-space: nowrap; }
+  th { background: #e0e0e0; position: sticky; top: 0; cursor: pointer; user-select: none; }
+  th.sorted-asc::after { content: ' \\25B2'; }
+  th.sorted-desc::after { content: ' \\25BC'; }
+  td.changed { background: #ffff99; font-weight: bold; }
+`;
+
+// Sorting and filtering run in the browser, the report has no external dependencies
+const SCRIPT = `
+  document.querySelectorAll('section[data-table]').forEach(function (section) {
+    var table = section.querySelector('table');
+    var body = table.tBodies[0];
+    var filter = section.querySelector('.filter');
+    var rowCount = section.querySelector('.row-count');
+    var rows = Array.prototype.slice.call(body.rows);
+
+    function updateCount() {
+      var visible = rows.filter(function (row) { return row.style.display !== 'none'; }).length;
+      rowCount.textContent = visible + ' of ' + rows.length + ' rows';
+    }
+
+    filter.addEventListener('input', function () {
+      var text = filter.value.toLowerCase();
+      rows.forEach(function (row) {
+        row.style.display = row.textContent.toLowerCase().indexOf(text) === -1 ? 'none' : '';
+      });
+      updateCount();
+    });
+
+    Array.prototype.forEach.call(table.tHead.rows[0].cells, function (header, columnIndex) {
+      header.addEventListener('click', function () {
+        var ascending = !header.classList.contains('sorted-asc');
+        Array.prototype.forEach.call(table.tHead.rows[0].cells, function (cell) { cell.classList.remove('sorted-asc', 'sorted-desc'); });
+        header.classList.add(ascending ? 'sorted-asc' : 'sorted-desc');
+        rows.sort(function (a, b) {
+          var left = a.cells[columnIndex] ? a.cells[columnIndex].textContent : '';
+          var right = b.cells[columnIndex] ? b.cells[columnIndex].textContent : '';
+          var result = left !== '' && right !== '' && !isNaN(left) && !isNaN(right) ? left - right : left.localeCompare(right, undefined, { numeric: true });
+          return ascending ? result : -result;
+        });
+        rows.forEach(function (row) { body.appendChild(row); });
+      });
+    });
+
+    updateCount();
+  });
+`;
+
+class HtmlReportHelper {
+
+  /**
+   * Write a self-contained HTML report with summary metrics and one sortable, filterable table per section
+   * @param {Object} report - { title, metrics: [{ Metric, Count }], sections: [{ name, data, highlights }] }
+   *                          highlights[i] lists the column keys to highlight on data row i
+   * @param {string} filePath - Full path where to save the HTML file
+   * @returns {Promise<Object>} - Result object
+   */
+  async writeReport({ title, metrics = [], sections = [] }, filePath) {
+    try {
+      const tableSections = sections.filter(section => section.data && section.data.length);
+      const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${this.escape(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>${this.escape(title)}</h1>
+<div class="generated">Generated ${this.escape(new Date().toISOString())}</div>
+<div class="metrics">
+${metrics.map(metric => `<div class="metric"><div class="count">${this.escape(metric.Count)}</div><div class="label">${this.escape(metric.Metric)}</div></div>`).join('\n')}
+</div>
+<nav>${tableSections.map((section, index) => `<a href="#section-${index}">${this.escape(section.name)} (${section.data.length})</a>`).join('')}</nav>
+${tableSections.map((section, index) => this.renderSection(section, index)).join('\n')}
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+
+      await fse.outputFile(filePath, html);
+      logger.info(`HTML report written successfully: ${filePath}`);
+      return { success: true, filePath };
+    } catch (err) {
+      logger.error({ err }, `Error writing HTML report ${filePath}: ${err.message}`);
+      return { success: false, error: err.message };
+    }
+  }
+
+  renderSection({ name, data, highlights = [] }, index) {
+    const keys = [...new Set(data.flatMap(row => Object.keys(row)))];
+    const rows = data.map((row, rowIndex) => {
+      const highlightKeys = highlights[rowIndex] || [];
+      const cells = keys.map(key => `<td${highlightKeys.includes(key) ? ' class="changed"' : ''}>${this.escape(this.formatValue(row[key]))}</td>`);
+      return `<tr>${cells.join('')}</tr>`;
+    });
+
+    return `<section id="section-${index}" data-table>
+<h2>${this.escape(name)}</h2>
+<input class="filter" type="search" placeholder="Filter rows..."><span class="row-count"></span>
+<div class="table-wrapper">
+<table>
+<thead><tr>${keys.map(key => `<th>${this.escape(key)}</th>`).join('')}</tr></thead>
+<tbody>
+${rows.join('\n')}
+</tbody>
+</table>
+</div>
+</section>`;
+  }
+
+  formatValue(value) {
+    if (value === undefined || value === null) return '';
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'object' && value.hyperlink) return value.text;
+    if (typeof value === 'object' && value.constructor === Object) return JSON.stringify(value);
+    return value.toString();
+  }
+
+  escape(value) {
+    return String(value === undefined || value === null ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
+
+export default HtmlReportHelper;
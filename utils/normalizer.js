@@ -0,0 +1,109 @@
+const NUMBER_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+
+// Rules that take no options, referenced by name in columnConfig.normalize
+const NAMED_RULES = {
+  trim: value => value.trim(),
+  // \s covers non-breaking and other unicode spaces, zero-width spaces are added explicitly
+  collapseWhitespace: value => value.replace(/[\s\u200B]+/g, ' ').trim(),
+  normalizeDashes: value => value.replace(/[\u2010-\u2015\u2212\uFE58\uFE63\uFF0D]/g, '-'),
+  stripPunctuation: value => value.replace(/[^\p{L}\p{N}\s]/gu, ''),
+  lower: value => value.toLowerCase(),
+  upper: value => value.toUpperCase()
+};
+
+class Normalizer {
+
+  /**
+   * Compile a list of normalize rules into a single function
+   * @param {Array} rules - Rule names (trim, collapseWhitespace, normalizeDashes, stripPunctuation, lower, upper, number)
+   *                        or { type: 'replace', pattern, replacement, flags } objects, applied in order
+   * @returns {Function} - value => normalized value, non-string values are only touched by the number rule
+   */
+  compile(rules = []) {
+    const steps = rules.map(rule => this.compileRule(rule));
+    return value => steps.reduce((result, step) => step(result), value);
+  }
+
+  compileRule(rule) {
+    if (rule === 'number') {
+      return value => this.canonicalizeNumber(value);
+    }
+
+    if (typeof rule === 'string') {
+      const apply = NAMED_RULES[rule];
+      if (!apply) {
+        throw new Error(`Unknown normalize rule: ${rule}`);
+      }
+      return value => typeof value === 'string' ? apply(value) : value;
+    }
+
+    if (rule && rule.type === 'replace') {
+      const pattern = new RegExp(rule.pattern, rule.flags === undefined ? 'g' : rule.flags);
+      const replacement = rule.replacement === undefined ? '' : rule.replacement;
+      return value => typeof value === 'string' ? value.replace(pattern, replacement) : value;
+    }
+
+    throw new Error(`Unknown normalize rule: ${JSON.stringify(rule)}`);
+  }
+
+  /**
+   * Write numbers the same way whatever their source: "2.0", " 2 " and 2 all become "2"
+   */
+  canonicalizeNumber(value) {
+    if (typeof value === 'number') {
+      return Number.isFinite(value) ? String(value) : value;
+    }
+    if (typeof value === 'string' && NUMBER_PATTERN.test(value.trim())) {
+      return String(Number(value.trim()));
+    }
+    return value;
+  }
+
+  /**
+   * Build the normalize functions of a collection keyed by column name.
+   * A column mapped by several files uses the rules of the first mapping that defines them.
+   * @param {Array} mapping - Collection mapping entries
+   * @returns {Object} - { columnName: Function }
+   */
+  buildColumnNormalizers(mapping = []) {
+    const normalizers = {};
+    for (const fileMapping of mapping) {
+      for (const column of fileMapping.columnConfig || []) {
+        if (column.normalize && column.normalize.length && !normalizers[column.columnName]) {
+          normalizers[column.columnName] = this.compile(column.normalize);
+        }
+      }
+    }
+    return normalizers;
+  }
+
+  /**
+   * Normalize a single value, null and undefined are left as they are
+   * @param {*} value - Value to normalize
+   * @param {Function} normalize - Compiled rules, the value is returned unchanged when missing
+   * @returns {*} - Normalized value
+   */
+  normalizeValue(value, normalize) {
+    if (!normalize || value === undefined || value === null) return value;
+    return normalize(value);
+  }
+
+  /**
+   * Apply the column normalizers to a copy of a record
+   * @param {Object} record - Record to normalize
+   * @param {Object} normalizers - Result of buildColumnNormalizers
+   * @returns {Object} - Normalized copy, the record itself when there is nothing to normalize
+   */
+  normalizeRecord(record, normalizers = {}) {
+    const columns = Object.keys(normalizers);
+    if (!columns.length) return record;
+
+    const normalized = { ...record };
+    for (const column of columns) {
+      normalized[column] = this.normalizeValue(normalized[column], normalizers[column]);
+    }
+    return normalized;
+  }
+}
+
+export default Normalizer;
@@ -0,0 +1,45 @@
+import logger from './logger.js';
+
+class PhaseTimer {
+  /**
+   * @param {string} label - Prefix of the log lines, e.g. the collection name
+   */
+  constructor(label) {
+    this.label = label;
+    this.phases = [];
+  }
+
+  /**
+   * Run a phase and log how long it took and the heap used once it finished
+   * @param {string} phase - Phase name, e.g. read, duplicates, comparison
+   * @param {Function} fn - Sync or async function running the phase
+   * @returns {Promise<*>} - What fn returned
+   */
+  async time(phase, fn) {
+    const start = process.hrtime.bigint();
+    try {
+      return await fn();
+    } finally {
+      const ms = Math.round(Number(process.hrtime.bigint() - start) / 1e6);
+      const heapUsedMb = Math.round(process.memoryUsage().heapUsed / 1024 / 1024);
+      this.phases.push({ phase, ms, heapUsedMb });
+      logger.info(`${this.label}: ${phase} took ${ms} ms, heap used ${heapUsedMb} MB`);
+    }
+  }
+
+  /**
+   * @returns {Object} - { phase: ms }
+   */
+  getTimings() {
+    return Object.fromEntries(this.phases.map(({ phase, ms }) => [phase, ms]));
+  }
+
+  /**
+   * One line listing every phase, e.g. read 1200 ms, duplicates 85 ms
+   */
+  format() {
+    return this.phases.map(({ phase, ms }) => `${phase} ${ms} ms`).join(', ');
+  }
+}
+
+export default PhaseTimer;
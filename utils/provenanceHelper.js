@@ -0,0 +1,66 @@
+import path from 'path';
+
+// Symbol keys are skipped by Object.keys and JSON.stringify, so the source of a record
+// never reaches composite keys, field comparisons or database writes
+const SOURCE = Symbol('source');
+
+class ProvenanceHelper {
+
+  /**
+   * Remember where a record was read from
+   * @param {Object} record - Extracted record
+   * @param {Object} source - { filePath, filename, pattern, sheetName, row, format }, pattern is the filename as configured
+   * @returns {Object} - The record
+   */
+  attach(record, source) {
+    record[SOURCE] = source;
+    return record;
+  }
+
+  getSource(record) {
+    return record ? record[SOURCE] : undefined;
+  }
+
+  /**
+   * Build the source columns of a report row
+   * @param {Object} record - Extracted record
+   * @param {string} reportFolder - Folder of the report, links to the source workbook are relative to it
+   * @param {string} prefix - Column name prefix, e.g. Excel_
+   * @returns {Object} - { Source File, Source Sheet, Source Row }, empty for records without a source (database records)
+   */
+  toColumns(record, reportFolder, prefix = '') {
+    const source = this.getSource(record);
+    if (!source) return {};
+
+    return {
+      [`${prefix}Source File`]: source.filename,
+      [`${prefix}Source Sheet`]: source.sheetName || '',
+      [`${prefix}Source Row`]: this.createLink(source, reportFolder)
+    };
+  }
+
+  /**
+   * Link xlsx rows to their cell in the source workbook, other formats only show the row (line or record) number
+   */
+  createLink(source, reportFolder) {
+    if (source.format !== 'xlsx' || !reportFolder) {
+      return source.row;
+    }
+    const relativePath = path.relative(reportFolder, source.filePath).split(path.sep).join('/');
+    return {
+      text: String(source.row),
+      hyperlink: `${encodeURI(relativePath)}#'${source.sheetName}'!A${source.row}`
+    };
+  }
+
+  /**
+   * Describe the source of a record in one cell, e.g. ENSPIRE.xlsx!ENSPIRE:12
+   */
+  describe(record) {
+    const source = this.getSource(record);
+    if (!source) return '';
+    return `${source.filename}${source.sheetName ? `!${source.sheetName}` : ''}:${source.row}`;
+  }
+}
+
+export default ProvenanceHelper;
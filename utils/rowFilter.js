@@ -0,0 +1,150 @@
+class RowFilter {
+
+  /**
+   * Filters applied to every mapping of a collection: its excludeRecord entries, then its rowFilters
+   * @param {Object} collectionConfig - { excludeRecord: [{ columnName, values }], rowFilters }
+   * @returns {Array} - [{ name, include | exclude }]
+   */
+  getCollectionFilters({ excludeRecord = [], rowFilters = [] } = {}) {
+    const excludes = excludeRecord.map(({ columnName, values }) => ({
+      name: `excludeRecord ${columnName}`,
+      exclude: { [columnName]: { in: values } }
+    }));
+    return [...excludes, ...rowFilters];
+  }
+
+  /**
+   * Compile filters into one function. A record is removed by the first include filter it does not match
+   * or the first exclude filter it matches.
+   * @param {Array} filters - [{ name, include: condition } | { name, exclude: condition }]
+   * @returns {Function} - record => name of the filter removing it, null to keep it
+   */
+  compile(filters = []) {
+    const compiled = filters.map(filter => ({
+      name: filter.name,
+      include: filter.include ? this.compileCondition(filter.include) : null,
+      exclude: filter.exclude ? this.compileCondition(filter.exclude) : null
+    }));
+
+    return record => {
+      for (const filter of compiled) {
+        if (filter.include && !filter.include(record)) return filter.name;
+        if (filter.exclude && filter.exclude(record)) return filter.name;
+      }
+      return null;
+    };
+  }
+
+  /**
+   * Compile a condition, all its entries must match:
+   * { and: [conditions] }, { or: [conditions] }, { not: condition }, or a column mapped to a value (equality)
+   * or to { operator: value } pairs, e.g. { HookupName: { matches: 'CAS|HAN' }, MachineFamilyID: 2 }
+   * @returns {Function} - record => boolean
+   */
+  compileCondition(condition) {
+    const tests = Object.entries(condition).map(([key, value]) => {
+      if (key === 'and' || key === 'or') {
+        const parts = value.map(part => this.compileCondition(part));
+        return key === 'and'
+          ? record => parts.every(test => test(record))
+          : record => parts.some(test => test(record));
+      }
+      if (key === 'not') {
+        const test = this.compileCondition(value);
+        return record => !test(record);
+      }
+      return this.compileColumn(key, value);
+    });
+    return record => tests.every(test => test(record));
+  }
+
+  compileColumn(column, condition) {
+    const isOperatorObject = condition !== null && typeof condition === 'object' && !Array.isArray(condition) && !(condition instanceof Date);
+    if (!isOperatorObject) {
+      return record => this.isEqual(record[column], condition);
+    }
+
+    // Regular expressions ignore case unless flags are given
+    const { flags = 'i', ...operators } = condition;
+    const tests = Object.entries(operators).map(([op, expected]) => this.compileOperator(column, op, expected, flags));
+    return record => tests.every(test => test(record[column]));
+  }
+
+  compileOperator(column, op, expected, flags) {
+    const texts = [].concat(expected).map(text => String(text).toLowerCase());
+    switch (op) {
+      case 'eq':
+        return value => this.isEqual(value, expected);
+      case 'ne':
+        return value => !this.isEqual(value, expected);
+      case 'in':
+        return value => expected.some(item => this.isEqual(value, item));
+      case 'nin':
+        return value => !expected.some(item => this.isEqual(value, item));
+      case 'gt':
+        return value => this.compare(value, expected) > 0;
+      case 'gte':
+        return value => this.compare(value, expected) >= 0;
+      case 'lt':
+        return value => this.compare(value, expected) < 0;
+      case 'lte':
+        return value => this.compare(value, expected) <= 0;
+      case 'contains':
+        return value => !this.isEmpty(value) && texts.some(text => this.toText(value).toLowerCase().includes(text));
+      case 'notContains':
+        return value => this.isEmpty(value) || !texts.some(text => this.toText(value).toLowerCase().includes(text));
+      case 'matches': {
+        const pattern = new RegExp(expected, flags);
+        return value => !this.isEmpty(value) && pattern.test(this.toText(value));
+      }
+      case 'notMatches': {
+        const pattern = new RegExp(expected, flags);
+        return value => this.isEmpty(value) || !pattern.test(this.toText(value));
+      }
+      case 'empty':
+        return value => this.isEmpty(value) === expected;
+      default:
+        throw new Error(`Unknown row filter operator "${op}" for column ${column}`);
+    }
+  }
+
+  isEmpty(value) {
+    return value === undefined || value === null || value === '';
+  }
+
+  toText(value) {
+    return value instanceof Date ? value.toISOString() : String(value);
+  }
+
+  /**
+   * Values are equal ignoring case and type, "2" equals 2; empty values (undefined, null, '') equal each other
+   */
+  isEqual(value, expected) {
+    if (this.isEmpty(value) || this.isEmpty(expected)) {
+      return this.isEmpty(value) && this.isEmpty(expected);
+    }
+    if (value instanceof Date || expected instanceof Date) {
+      return new Date(value).getTime() === new Date(expected).getTime();
+    }
+    return this.toText(value).toLowerCase() === this.toText(expected).toLowerCase();
+  }
+
+  /**
+   * Compare numbers numerically, dates by time and other values as text
+   * @returns {number} - Negative, zero or positive, NaN when the value is empty
+   */
+  compare(value, expected) {
+    if (this.isEmpty(value)) return NaN;
+    if (value instanceof Date || expected instanceof Date) {
+      return new Date(value).getTime() - new Date(expected).getTime();
+    }
+    const number = Number(value);
+    const expectedNumber = Number(expected);
+    if (!isNaN(number) && !isNaN(expectedNumber)) {
+      return number - expectedNumber;
+    }
+    return this.toText(value).localeCompare(this.toText(expected), undefined, { sensitivity: 'base' });
+  }
+}
+
+export default RowFilter;
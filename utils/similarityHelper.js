@@ -0,0 +1,131 @@
+const DEFAULT_OPTIONS = {
+  threshold: 0.85,
+  ignoreCase: true,
+  ignorePunctuation: true,
+  ignoreTokenOrder: false
+};
+
+class SimilarityHelper {
+  /**
+   * @param {Object} options - Similarity options
+   * @param {number} options.threshold - Minimum score (0-1) for two values to be a possible match
+   * @param {boolean} options.ignoreCase - Compare case-insensitively
+   * @param {boolean} options.ignorePunctuation - Drop spaces, hyphens and other punctuation before comparing
+   * @param {boolean} options.ignoreTokenOrder - Sort the words of each value before comparing
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+  }
+
+  /**
+   * Normalize a value according to the configured options
+   * @param {*} value - Value to normalize
+   * @returns {string} - Normalized string
+   */
+  normalize(value) {
+    let text = [undefined, null].includes(value) ? '' : value.toString().trim();
+    if (this.options.ignoreCase) {
+      text = text.toLowerCase();
+    }
+
+    const tokens = text.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    if (this.options.ignoreTokenOrder) {
+      tokens.sort();
+    }
+
+    if (this.options.ignorePunctuation) {
+      return tokens.join('');
+    }
+    return this.options.ignoreTokenOrder ? tokens.join(' ') : text;
+  }
+
+  /**
+   * Levenshtein edit distance between two strings
+   */
+  editDistance(a, b) {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+
+    let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  /**
+   * Similarity of two values between 0 (nothing in common) and 1 (equal after normalization)
+   */
+  valueSimilarity(a, b) {
+    return this.textSimilarity(this.normalize(a), this.normalize(b));
+  }
+
+  textSimilarity(left, right) {
+    const maxLength = Math.max(left.length, right.length);
+    return maxLength ? 1 - this.editDistance(left, right) / maxLength : 1;
+  }
+
+  /**
+   * Upper bound of textSimilarity: the edit distance is at least the length difference
+   */
+  maxTextSimilarity(left, right) {
+    const maxLength = Math.max(left.length, right.length);
+    return maxLength ? 1 - Math.abs(left.length - right.length) / maxLength : 1;
+  }
+
+  /**
+   * Average similarity of two records over the given fields
+   * @param {Object} recordA - First record
+   * @param {Object} recordB - Second record
+   * @param {Array} fields - Fields to compare
+   * @returns {number} - Score between 0 and 1, 0 when the records cannot reach the threshold
+   */
+  recordSimilarity(recordA, recordB, fields) {
+    if (!fields.length) return 0;
+    const texts = fields.map(field => [this.normalize(recordA[field]), this.normalize(recordB[field])]);
+    // Skip the edit distances of records whose best possible average is below the threshold
+    const bound = texts.reduce((sum, [left, right]) => sum + this.maxTextSimilarity(left, right), 0) / fields.length;
+    if (bound < this.options.threshold) return 0;
+
+    return texts.reduce((sum, [left, right]) => sum + this.textSimilarity(left, right), 0) / fields.length;
+  }
+
+  /**
+   * Pair records from two lists, best scores first, each record used at most once
+   * @param {Array} leftRecords - e.g. records to add
+   * @param {Array} rightRecords - e.g. records to delete
+   * @param {Array} fields - Fields to compare
+   * @returns {Array} - [{ leftIndex, rightIndex, score }] sorted by descending score
+   */
+  findPairs(leftRecords, rightRecords, fields) {
+    const candidates = [];
+    leftRecords.forEach((left, leftIndex) => {
+      rightRecords.forEach((right, rightIndex) => {
+        const score = this.recordSimilarity(left, right, fields);
+        if (score >= this.options.threshold) {
+          candidates.push({ leftIndex, rightIndex, score });
+        }
+      });
+    });
+
+    candidates.sort((a, b) => b.score - a.score);
+    const usedLeft = new Set();
+    const usedRight = new Set();
+    const pairs = [];
+    for (const candidate of candidates) {
+      if (usedLeft.has(candidate.leftIndex) || usedRight.has(candidate.rightIndex)) continue;
+      usedLeft.add(candidate.leftIndex);
+      usedRight.add(candidate.rightIndex);
+      pairs.push(candidate);
+    }
+    return pairs;
+  }
+}
+
+export default SimilarityHelper;
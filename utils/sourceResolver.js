@@ -0,0 +1,122 @@
+import fse from 'fs-extra';
+import path from 'path';
+import logger from './logger.js';
+
+// Revision suffix of a source file, e.g. "Rev. AM", "Rev AN", "Revision 3", "rev.12"
+const REVISION_PATTERN = /\brev(?:ision)?(?:\.?\s*(\d+)|[.\s]\s*([a-z]{1,3}))(?![a-z0-9])/i;
+
+class SourceResolver {
+
+  /**
+   * Tell whether a filename or sheet name contains glob wildcards (*, ? or [...])
+   */
+  isPattern(value) {
+    return /[*?[]/.test(value);
+  }
+
+  /**
+   * Compile a glob into a case-insensitive regular expression matching the whole name.
+   * * matches any characters, ? a single character and [...] a character class.
+   */
+  toRegExp(pattern) {
+    let source = '';
+    for (let index = 0; index < pattern.length; index++) {
+      const char = pattern[index];
+      if (char === '*') {
+        source += '.*';
+      } else if (char === '?') {
+        source += '.';
+      } else if (char === '[' && pattern.indexOf(']', index + 1) !== -1) {
+        const end = pattern.indexOf(']', index + 1);
+        const characterClass = pattern.slice(index + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\');
+        source += `[${characterClass}]`;
+        index = end;
+      } else {
+        source += char.replace(/[.+^${}()|\\\]]/g, '\\$&');
+      }
+    }
+    return new RegExp(`^${source}$`, 'i');
+  }
+
+  /**
+   * Match a name against a glob, names without wildcards must be equal
+   */
+  matches(pattern, name) {
+    if (!this.isPattern(pattern)) {
+      return pattern === name;
+    }
+    return this.toRegExp(pattern).test(name);
+  }
+
+  /**
+   * Find the file a mapping reads. A filename with wildcards picks one of the matching files:
+   * the highest revision suffix (latest: 'revision', the default) or the last modified file (latest: 'modified').
+   * @param {Object} fileMapping - File mapping configuration, filename is relative to dataSheetsDirectory
+   * @param {string} dataSheetsDirectory - Directory containing the source files
+   * @returns {Promise<Object>} - { filename, filePath, candidates }, filename is null when nothing matches
+   */
+  async resolveFile(fileMapping, dataSheetsDirectory) {
+    const { filename, latest = 'revision' } = fileMapping;
+    if (!this.isPattern(filename)) {
+      return { filename, filePath: path.resolve(dataSheetsDirectory, filename), candidates: [filename] };
+    }
+
+    // Wildcards are only supported in the file name, not in its directories
+    const directory = path.resolve(dataSheetsDirectory, path.dirname(filename));
+    const namePattern = path.basename(filename);
+    const entries = await fse.pathExists(directory) ? await fse.readdir(directory) : [];
+    const candidates = [];
+    for (const entry of entries) {
+      // Skip Excel lock files of open workbooks
+      if (entry.startsWith('~$') || !this.matches(namePattern, entry)) continue;
+      const stats = await fse.stat(path.join(directory, entry));
+      if (stats.isFile()) {
+        candidates.push({ name: entry, modified: stats.mtimeMs });
+      }
+    }
+
+    if (!candidates.length) {
+      logger.info(`No file matches ${filename} in ${directory}`);
+      return { filename: null, filePath: null, candidates: [] };
+    }
+
+    candidates.sort(latest === 'modified'
+      ? (a, b) => a.modified - b.modified || a.name.localeCompare(b.name)
+      : (a, b) => this.compareRevisions(a.name, b.name));
+    const chosen = candidates[candidates.length - 1];
+    const resolved = path.join(path.dirname(filename), chosen.name);
+    logger.info(`Resolved ${filename} to ${resolved} (latest ${latest} of ${candidates.length} matching files)`);
+
+    return {
+      filename: resolved,
+      filePath: path.join(directory, chosen.name),
+      candidates: candidates.map(candidate => candidate.name)
+    };
+  }
+
+  /**
+   * Order filenames by their revision suffix: numbers compare numerically, letters like spreadsheet
+   * columns (Z < AA < AB). Files without a revision come first, ties are broken by name.
+   */
+  compareRevisions(nameA, nameB) {
+    const a = this.parseRevision(nameA);
+    const b = this.parseRevision(nameB);
+    if (a.rank !== b.rank) return a.rank - b.rank;
+    if (a.value.length !== b.value.length && a.rank === 2) return a.value.length - b.value.length;
+    if (a.value !== b.value) {
+      return a.rank === 1 ? Number(a.value) - Number(b.value) : a.value.localeCompare(b.value);
+    }
+    return nameA.localeCompare(nameB, undefined, { numeric: true });
+  }
+
+  /**
+   * @returns {Object} - { rank, value }, rank 0 without revision, 1 for numeric and 2 for letter revisions
+   */
+  parseRevision(filename) {
+    const match = path.parse(filename).name.match(REVISION_PATTERN);
+    if (!match) return { rank: 0, value: '' };
+    return match[1] ? { rank: 1, value: match[1] } : { rank: 2, value: match[2].toUpperCase() };
+  }
+}
+
+export default SourceResolver;
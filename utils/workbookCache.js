@@ -0,0 +1,41 @@
+import fse from 'fs-extra';
+
+class WorkbookCache {
+  constructor() {
+    // filePath + key -> { mtimeMs, size, promise }
+    this.entries = new Map();
+  }
+
+  /**
+   * Get the parsed content of a file, parsing it once while the file is unchanged.
+   * Callers asking for a file being parsed wait for the same parse, a failed parse is not kept.
+   * @param {string} filePath - Full path of the file
+   * @param {string} key - Parse options, the same file parsed with other options is cached apart
+   * @param {Function} parse - () => Promise of the parsed content
+   * @returns {Promise<*>} - Parsed content, shared by every caller: do not modify it
+   */
+  async get(filePath, key, parse) {
+    const { mtimeMs, size } = await fse.stat(filePath);
+    const cacheKey = `${filePath}\n${key}`;
+    const entry = this.entries.get(cacheKey);
+    if (entry && entry.mtimeMs === mtimeMs && entry.size === size) {
+      return entry.promise;
+    }
+
+    const promise = parse();
+    this.entries.set(cacheKey, { mtimeMs, size, promise });
+    promise.catch(() => {
+      const current = this.entries.get(cacheKey);
+      if (current && current.promise === promise) {
+        this.entries.delete(cacheKey);
+      }
+    });
+    return promise;
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+export default WorkbookCache;
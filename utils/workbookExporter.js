@@ -0,0 +1,203 @@
+import ExcelJS from 'exceljs';
+import path from 'path';
+import fse from 'fs-extra';
+import ExcelHelper from './excelHelper.js';
+import CellHelper from './cellHelper.js';
+import ProvenanceHelper from './provenanceHelper.js';
+import SourceResolver from './sourceResolver.js';
+import logger from './logger.js';
+
+// Source workbooks already use the yellow of the comparison reports, changed cells get an orange fill
+const CHANGED_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFCC99' } };
+
+class WorkbookExporter {
+  constructor() {
+    this.excelHelper = new ExcelHelper();
+    this.cellHelper = new CellHelper();
+    this.provenanceHelper = new ProvenanceHelper();
+    this.sourceResolver = new SourceResolver();
+  }
+
+  /**
+   * Columns written back: the columnConfig entries read from a header, computed and constant columns are skipped
+   * @param {Object} fileMapping - File mapping configuration
+   * @returns {Array} - ExcelJS columns { header, key, width }, key is the columnName
+   */
+  getColumns(fileMapping) {
+    return fileMapping.columnConfig
+      .filter(column => column.headerName && !column.compute)
+      .map(column => ({ header: column.headerName, key: column.columnName, width: 20 }));
+  }
+
+  /**
+   * Header row of the source sheet of a mapping: its headerIndex, or the row detected when reading the source file
+   * @param {Object} fileMapping - File mapping configuration
+   * @param {string} dataSheetsDirectory - Directory containing the source files
+   * @returns {Promise<number>} - Row number, 1 when the source file cannot be read
+   */
+  async detectHeaderRow(fileMapping, dataSheetsDirectory) {
+    if (fileMapping.headerIndex) {
+      return fileMapping.headerIndex;
+    }
+    const read = await this.excelHelper.readExcel({ fileMapping: { ...fileMapping, rowFilters: [] }, dataSheetsDirectory });
+    if (!read.success || !read.headerRow) {
+      logger.info(`Cannot read the header row of ${fileMapping.filename}, the export starts at row 1`);
+      return 1;
+    }
+    return read.headerRow;
+  }
+
+  /**
+   * Write records into a new workbook laid out like the mapping: its sheet name, header names and header row
+   * @param {Array} records - Database records, fields named by columnName
+   * @param {Object} fileMapping - File mapping configuration
+   * @param {string} filePath - Workbook to write
+   * @param {string} defaultSheetName - Sheet name used when the mapping has none or a pattern
+   * @param {number} headerIndex - Row of the header, see detectHeaderRow
+   * @returns {Promise<Object>} - { success, filePath, recordCount }
+   */
+  async writeWorkbook({ records, fileMapping, filePath, defaultSheetName, headerIndex = 1 }) {
+    const { sheetName } = fileMapping;
+    const name = sheetName && !this.sourceResolver.isPattern(sheetName) ? sheetName : defaultSheetName;
+    const columns = this.getColumns(fileMapping);
+    const rows = records.map(record => Object.fromEntries(columns.map(({ key }) => [key, this.toCellValue(record[key])])));
+
+    const result = await this.excelHelper.writeMultiSheetExcel([{ name, data: rows, columns, headerIndex }], filePath);
+    return result.success ? { success: true, filePath, recordCount: rows.length } : result;
+  }
+
+  /**
+   * Update a workbook in place with the database records. Rows are paired by key: the mapped cells of every row
+   * with the key of a record get its values, changed cells are highlighted with a note holding their previous value
+   * and records without a row are appended below the last row. Formula cells and columns outside the mapping are kept.
+   * ExcelJS rewrites the whole workbook, features it does not support (charts, pivot tables) are lost,
+   * so only pass a copy, see copyWorkbook.
+   * @param {Array} records - Database records, fields named by columnName
+   * @param {Object} fileMapping - File mapping configuration of the workbook
+   * @param {string} workbookPath - Copy of the workbook to update
+   * @param {Function} keyOf - record => key pairing database records and rows
+   * @returns {Promise<Object>} - { success, filePath, sheetName, updatedRowCount, changedCellCount, appendedCount, notInDbCount }
+   */
+  async updateWorkbook({ records, fileMapping, workbookPath, keyOf }) {
+    try {
+      // Rows are paired on the values the comparison reads, every row of the sheet is kept
+      const read = await this.excelHelper.readExcel({
+        fileMapping: { ...fileMapping, filename: path.basename(workbookPath), rowFilters: [] },
+        dataSheetsDirectory: path.dirname(workbookPath)
+      });
+      if (!read.success) {
+        return { success: false, error: read.error || `Failed to read ${workbookPath}` };
+      }
+
+      // key -> sheet row numbers
+      const rowsByKey = new Map();
+      read.data.forEach(record => {
+        const key = keyOf(record);
+        rowsByKey.set(key, (rowsByKey.get(key) || []).concat(this.provenanceHelper.getSource(record).row));
+      });
+
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.readFile(workbookPath);
+      const worksheet = workbook.getWorksheet(read.sheetName) || workbook.worksheets[0];
+      const columns = this.getColumns(fileMapping)
+        .map(column => ({ ...column, index: read.columnIndices.get(column.header) }))
+        .filter(column => column.index !== undefined);
+      if (!columns.length) {
+        return { success: false, error: `No mapped column found in sheet "${worksheet.name}" of ${workbookPath}` };
+      }
+
+      const pairedKeys = new Set();
+      let updatedRowCount = 0;
+      let changedCellCount = 0;
+      let appendedCount = 0;
+      let nextRow = worksheet.rowCount + 1;
+
+      for (const record of records) {
+        const key = keyOf(record);
+        const rowNumbers = rowsByKey.get(key);
+        if (!rowNumbers) {
+          const row = worksheet.getRow(nextRow++);
+          columns.forEach(column => {
+            const cell = row.getCell(column.index);
+            cell.value = this.toCellValue(record[column.key]);
+            cell.fill = CHANGED_FILL;
+          });
+          this.addNote(row.getCell(columns[0].index), 'Not in the workbook, appended from the database');
+          appendedCount++;
+          continue;
+        }
+
+        pairedKeys.add(key);
+        for (const rowNumber of rowNumbers) {
+          const row = worksheet.getRow(rowNumber);
+          let changed = false;
+          for (const column of columns) {
+            const cell = row.getCell(column.index);
+            if (cell.formula) continue;
+            const value = this.toCellValue(record[column.key]);
+            if (this.isSameValue(cell.value, value)) continue;
+            this.addNote(cell, `Was: ${this.cellHelper.toText(this.cellHelper.getValue(cell.value)) || '(empty)'}`);
+            cell.value = value;
+            cell.fill = CHANGED_FILL;
+            changedCellCount++;
+            changed = true;
+          }
+          if (changed) updatedRowCount++;
+        }
+      }
+
+      const notInDbCount = [...rowsByKey.keys()].filter(key => !pairedKeys.has(key)).length;
+      await workbook.xlsx.writeFile(workbookPath);
+      logger.info(`Updated ${workbookPath} sheet "${worksheet.name}": ${changedCellCount} cells changed in ${updatedRowCount} rows, ${appendedCount} rows appended, ${notInDbCount} keys not in the database`);
+
+      return { success: true, filePath: workbookPath, sheetName: worksheet.name, updatedRowCount, changedCellCount, appendedCount, notInDbCount };
+    } catch (err) {
+      logger.error({ err }, `Error updating workbook ${workbookPath}: ${err.message}`);
+      return { success: false, error: err.message };
+    }
+  }
+
+  /**
+   * Copy a workbook next to the exports before updating it, the given workbook is never rewritten
+   * @param {string} workbookPath - Workbook given with --workbook
+   * @param {string} exportFolder - Folder the copy is written to
+   * @param {string} suffix - Appended to the file name, e.g. the collection name and run timestamp
+   * @returns {Promise<string>} - Path of the copy
+   */
+  async copyWorkbook(workbookPath, exportFolder, suffix) {
+    const { name, ext } = path.parse(workbookPath);
+    const copyPath = path.join(exportFolder, `${name}_${suffix}${ext}`);
+    await fse.copy(workbookPath, copyPath, { overwrite: false, errorOnExist: true });
+    return copyPath;
+  }
+
+  /**
+   * Add a line to the note of a cell, notes left by reviewers are kept
+   */
+  addNote(cell, text) {
+    if (!cell.note) {
+      cell.note = text;
+    } else if (typeof cell.note === 'string') {
+      cell.note = `${cell.note}\n${text}`;
+    } else {
+      cell.note = { ...cell.note, texts: [...(cell.note.texts || []), { text: `\n${text}` }] };
+    }
+  }
+
+  /**
+   * Database values are written as they are, empty values leave the cell empty
+   */
+  toCellValue(value) {
+    return value === undefined || value === '' ? null : value;
+  }
+
+  /**
+   * Compare a cell with a database value as text, so 3 equals "3" and formatting of rich text is ignored
+   */
+  isSameValue(cellValue, value) {
+    const text = this.cellHelper.toText(this.cellHelper.getValue(cellValue)).trim();
+    return text === this.cellHelper.toText(value).trim();
+  }
+}
+
+export default WorkbookExporter;